@@ -3,73 +3,1687 @@
 // Load configuration and prompt modules
 importScripts('config.js');
 importScripts('prompts.js');
+importScripts('rules.js');
+importScripts('providers.js');
+importScripts('scheduler.js');
 
 /**
- * Generates a cache key for a given URL.
- * @param {string} url - The page URL
- * @returns {string} Cache key
+ * Reads the selected source/target language pair from chrome.storage.sync.
+ * Falls back to CONFIG.defaults for unknown codes or a source without rules.
+ * @returns {Promise<{ source: string, target: string }>}
  */
-function getCacheKey(url) {
-    return CONFIG.cache.prefix + url;
+async function getLanguagePair() {
+    const result = await chrome.storage.sync.get(['sourceLanguage', 'targetLanguage']);
+    const source = LANGUAGE_RULES[result.sourceLanguage] ? result.sourceLanguage : CONFIG.defaults.sourceLanguage;
+    let target = CONFIG.languages[result.targetLanguage] ? result.targetLanguage : CONFIG.defaults.targetLanguage;
+
+    if (target === source) {
+        target = source === CONFIG.defaults.targetLanguage ? CONFIG.defaults.sourceLanguage : CONFIG.defaults.targetLanguage;
+    }
+
+    return { source: source, target: target };
+}
+
+/**
+ * Loads the rule pack for a source language: the one saved on the options page
+ * if it is still valid (plus any rules added since), otherwise the built-in default (rules.js).
+ * @param {string} sourceLang - Source language code
+ * @returns {Promise<object>} Rule pack
+ */
+async function getRulePack(sourceLang) {
+    const key = CONFIG.rulePacks.storagePrefix + sourceLang;
+    const result = await chrome.storage.local.get(key);
+    if (!result[key]) return buildDefaultRulePack(sourceLang);
+
+    const stored = withDefaultRules(result[key]);
+    const errors = validateRulePack(stored);
+    if (errors.length > 0) {
+        console.warn(`ElevenLabs Translator: Ignoring invalid ${sourceLang} rule pack, using defaults:`, errors);
+        return buildDefaultRulePack(sourceLang);
+    }
+    return stored;
+}
+
+/**
+ * Loads the user's glossary entries for a language pair.
+ * @param {{ source: string, target: string }} languagePair
+ * @returns {Promise<Array<{ id: string, source: string, translation: string, note: string, sourceLanguage: string, targetLanguage: string }>>}
+ */
+async function getGlossaryEntries(languagePair) {
+    const key = CONFIG.glossary.storageKey;
+    const result = await chrome.storage.local.get(key);
+    return (result[key] || []).filter(entry =>
+        entry.sourceLanguage === languagePair.source && entry.targetLanguage === languagePair.target);
+}
+
+/**
+ * Builds the glossary message for a request from the entries whose term occurs in it.
+ * @param {Array<object>} entries - Glossary entries of the language pair
+ * @param {string} text - Source text of the request
+ * @returns {{ messages: Array<{role: string, content: string}>, entries: Array<object> }}
+ *   entries: the matching entries, for validation
+ */
+function buildGlossaryMessages(entries, text) {
+    const matched = matchGlossaryEntries(entries, text).slice(0, CONFIG.glossary.maxEntriesPerRequest);
+    if (matched.length === 0) return { messages: [], entries: [] };
+    return { messages: [{ role: 'system', content: buildGlossaryPrompt(matched) }], entries: matched };
+}
+
+// =============================================================================
+// PARAGRAPH CACHE
+// One entry per paragraph, keyed by a hash of its word list and the language
+// pair. Entries are independent of URL and position, so identical paragraphs
+// are reused across articles, and a changed paragraph simply misses instead of
+// getting stale blocks. Each entry records the provider, model and prompt
+// (version + fingerprint) that produced it, and the glossary entries that
+// matched the paragraph; entries from another model or prompt, or whose
+// glossary entries changed since, are still served but flagged as outdated,
+// so the user can decide to re-process them (see REQUEST_REPROCESS).
+// =============================================================================
+
+/**
+ * Returns the SHA-256 hex digest of a string.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Prompt fingerprints by language pair ("fr-en" -> hex); prompts are static per pair
+const promptFingerprints = {};
+
+/**
+ * Fingerprints the system prompt of a language pair, so prompt edits are
+ * detected even when PROMPT_VERSION wasn't bumped.
+ * @param {{ source: string, target: string }} languagePair
+ * @returns {Promise<string>}
+ */
+async function getPromptFingerprint(languagePair) {
+    const pairKey = languagePair.source + '-' + languagePair.target;
+    if (!promptFingerprints[pairKey]) {
+        const digest = await sha256Hex(buildSystemPrompt(languagePair.source, languagePair.target));
+        promptFingerprints[pairKey] = digest.slice(0, 16);
+    }
+    return promptFingerprints[pairKey];
+}
+
+/**
+ * Lists the glossary entries that match a paragraph, as [source, translation]
+ * pairs. Stored with cache entries, so glossary edits mark them outdated.
+ * @param {Array<object>} glossary - Glossary entries of the language pair
+ * @param {Array<string>} words - The paragraph's word texts
+ * @returns {Array<Array<string>>}
+ */
+function getGlossaryTerms(glossary, words) {
+    return matchGlossaryEntries(glossary, words.join(' ')).map(entry => [entry.source, entry.translation]);
+}
+
+/**
+ * Reads the language pair (part of the cache key) and the provider, model,
+ * prompt and glossary new entries are recorded with.
+ * @returns {Promise<{ languagePair: { source: string, target: string }, provider: string, model: string, promptVersion: string, promptFingerprint: string, glossary: Array<object> }>}
+ */
+async function getCacheContext() {
+    const languagePair = await getLanguagePair();
+    const settings = await getProviderSettings();
+    return {
+        languagePair: languagePair,
+        provider: settings.provider,
+        model: settings.model,
+        promptVersion: PROMPT_VERSION,
+        promptFingerprint: await getPromptFingerprint(languagePair),
+        glossary: await getGlossaryEntries(languagePair)
+    };
+}
+
+/**
+ * Hashes a paragraph's words and language pair (the part of its storage keys
+ * shared by cache entries and translation overrides).
+ * @param {Array<{text: string}>} words - The paragraph's words, in order
+ * @param {{ languagePair: { source: string, target: string } }} context - From getCacheContext(), or an entry
+ * @returns {Promise<string>} Hex digest
+ */
+async function getParagraphHash(words, context) {
+    const material = JSON.stringify([
+        context.languagePair.source,
+        context.languagePair.target,
+        words.map(w => w.text)
+    ]);
+    return sha256Hex(material);
+}
+
+/**
+ * Generates the cache key for a paragraph.
+ * @param {Array<{text: string}>} words - The paragraph's words, in order
+ * @param {{ languagePair: { source: string, target: string } }} context - From getCacheContext(), or an entry
+ * @returns {Promise<string>} Cache key
+ */
+async function getParagraphCacheKey(words, context) {
+    return CONFIG.cache.prefix + await getParagraphHash(words, context);
+}
+
+/**
+ * Returns true if an entry was produced by the current provider, model and
+ * prompt, with the glossary entries that match it today (entries stored
+ * before glossary terms were recorded count as having matched none).
+ * @param {object} entry - Cache entry
+ * @param {object} context - From getCacheContext()
+ * @returns {boolean}
+ */
+function isCacheEntryCurrent(entry, context) {
+    return entry.provider === context.provider &&
+        entry.model === context.model &&
+        entry.promptVersion === context.promptVersion &&
+        entry.promptFingerprint === context.promptFingerprint &&
+        JSON.stringify(entry.glossaryTerms || []) === JSON.stringify(getGlossaryTerms(context.glossary, entry.words));
+}
+
+/**
+ * Describes what produced a cache entry (shown when comparing old and new results).
+ * @param {object} entry - Cache entry
+ * @returns {{ provider: string, model: string, promptVersion: string, timestamp: number }}
+ */
+function getCacheEntryOrigin(entry) {
+    return {
+        provider: entry.provider,
+        model: entry.model,
+        promptVersion: entry.promptVersion,
+        timestamp: entry.timestamp
+    };
+}
+
+/**
+ * Re-targets cached blocks onto the current words. Blocks reference words by
+ * their c (character position), which differs between documents, so the stored
+ * positions are mapped to the current ones by word index.
+ * @param {object} entry - Cache entry
+ * @param {Array<{c: number}>} words - Current words (same text as entry.words)
+ * @returns {object} responseData for the current words
+ */
+function remapCachedResponse(entry, words) {
+    const cByStoredC = new Map(entry.positions.map((c, i) => [c, words[i].c]));
+    return {
+        ...entry.responseData,
+        blocks: entry.responseData.blocks.map(block => ({
+            ...block,
+            start_c: cByStoredC.get(block.start_c),
+            end_c: cByStoredC.get(block.end_c)
+        }))
+    };
+}
+
+// Tail of the pending cache writes. Lookups update last-access times and article
+// lists with read-modify-write, so all cache writes run one at a time.
+let cacheWriteQueue = Promise.resolve();
+
+/**
+ * Runs a cache write after the ones already queued.
+ * @param {function(): Promise<*>} write
+ * @returns {Promise<*>}
+ */
+function runCacheWrite(write) {
+    const result = cacheWriteQueue.then(write);
+    cacheWriteQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Returns the storage key of an article record.
+ * @param {string} url - The article URL
+ * @returns {string}
+ */
+function getArticleKey(url) {
+    return CONFIG.cache.articlePrefix + url;
+}
+
+/**
+ * Builds the record describing an article, keeping its first-cached date.
+ * @param {{url: string, title: string}} article
+ * @param {object} [existing] - The stored record, if any
+ * @returns {object}
+ */
+function buildArticleRecord(article, existing) {
+    const now = Date.now();
+    return {
+        url: article.url,
+        title: article.title || (existing && existing.title) || article.url,
+        timestamp: existing ? existing.timestamp : now,
+        lastAccess: now
+    };
+}
+
+/**
+ * Looks up cached translations for a set of paragraphs of an article, with the
+ * user's translation overrides applied. Hits are marked as recently used and
+ * linked to the article. `reprocess` is set once after the popup asked to
+ * re-process the article (REQUEST_REPROCESS).
+ * @param {Array<{id: *, words: Array<{c: number, text: string}>}>} paragraphs
+ * @param {{url: string, title: string}} article - The page the paragraphs belong to
+ * @returns {Promise<{ hits: Array<{id: *, responseData: object, outdated: boolean, origin: object}>, reprocess: boolean }>}
+ */
+async function getCachedParagraphs(paragraphs, article) {
+    const context = await getCacheContext();
+    const keys = await Promise.all(paragraphs.map(p => getParagraphCacheKey(p.words, context)));
+    const overrideKeys = await Promise.all(paragraphs.map(p => getParagraphOverrideKey(p.words, context)));
+
+    return runCacheWrite(async () => {
+        const articleKey = getArticleKey(article.url);
+        const stored = await chrome.storage.local.get([...keys, ...overrideKeys, articleKey]);
+        const now = Date.now();
+        const touched = {};
+
+        const hits = [];
+        paragraphs.forEach((paragraph, i) => {
+            const entry = stored[keys[i]];
+            if (!entry || entry.version !== CONFIG.cache.version) return;
+            // Guard against hash collisions
+            if (entry.words.length !== paragraph.words.length ||
+                entry.words.some((text, w) => text !== paragraph.words[w].text)) return;
+
+            hits.push({
+                id: paragraph.id,
+                responseData: applyTranslationOverrides(
+                    remapCachedResponse(entry, paragraph.words), paragraph.words, stored[overrideKeys[i]]),
+                outdated: !isCacheEntryCurrent(entry, context),
+                origin: getCacheEntryOrigin(entry)
+            });
+
+            entry.lastAccess = now;
+            entry.urls = entry.urls || [];
+            if (!entry.urls.includes(article.url)) entry.urls.push(article.url);
+            touched[keys[i]] = entry;
+        });
+
+        const reprocess = !!(stored[articleKey] && stored[articleKey].reprocessRequested);
+
+        if (hits.length > 0) {
+            console.log('ElevenLabs Translator: Cache hit for', hits.length, 'of', paragraphs.length, 'paragraphs');
+            touched[articleKey] = buildArticleRecord(article, stored[articleKey]);
+            await chrome.storage.local.set(touched);
+        } else if (reprocess) {
+            touched[articleKey] = { ...stored[articleKey], reprocessRequested: false };
+            await chrome.storage.local.set(touched);
+        }
+        return { hits: hits, reprocess: reprocess };
+    });
+}
+
+/**
+ * Stores paragraph translations of an article in the cache, evicting
+ * least-recently-used entries first if storage is nearly full. User-edited
+ * translations are stored as the model's; the edits live in overrides.
+ * @param {Array<{words: Array<{c: number, text: string}>, responseData: object}>} paragraphs
+ * @param {{url: string, title: string}} article - The page the paragraphs belong to
+ */
+async function setCachedParagraphs(paragraphs, article) {
+    const context = await getCacheContext();
+    const keys = await Promise.all(paragraphs.map(p => getParagraphCacheKey(p.words, context)));
+
+    return runCacheWrite(async () => {
+        const articleKey = getArticleKey(article.url);
+        const stored = await chrome.storage.local.get([...keys, articleKey]);
+        const now = Date.now();
+        const items = { [articleKey]: buildArticleRecord(article, stored[articleKey]) };
+
+        paragraphs.forEach((paragraph, i) => {
+            const existing = stored[keys[i]];
+            const urls = existing && existing.urls ? existing.urls.slice() : [];
+            if (!urls.includes(article.url)) urls.push(article.url);
+
+            const entry = {
+                version: CONFIG.cache.version,
+                timestamp: now,
+                lastAccess: now,
+                size: 0,
+                urls: urls,
+                languagePair: context.languagePair,
+                provider: context.provider,
+                model: context.model,
+                promptVersion: context.promptVersion,
+                promptFingerprint: context.promptFingerprint,
+                glossaryTerms: getGlossaryTerms(context.glossary, paragraph.words.map(w => w.text)),
+                words: paragraph.words.map(w => w.text),
+                positions: paragraph.words.map(w => w.c),
+                responseData: stripTranslationOverrides(paragraph.responseData)
+            };
+            // Approximates what chrome.storage counts: key plus JSON value
+            entry.size = keys[i].length + JSON.stringify(entry).length;
+            items[keys[i]] = entry;
+        });
+
+        const incomingBytes = Object.values(items).reduce((sum, item) => sum + (item.size || 0), 0);
+
+        try {
+            await ensureCacheSpace(incomingBytes);
+            await chrome.storage.local.set(items);
+        } catch (error) {
+            // Quota estimate was off - free more space and try once more
+            console.warn('ElevenLabs Translator: Cache write failed, evicting and retrying:', error.message);
+            try {
+                await evictLeastRecentlyUsed(incomingBytes + getCacheQuotaBytes() * (1 - CONFIG.cache.evictToQuotaFraction));
+                await chrome.storage.local.set(items);
+            } catch (retryError) {
+                console.warn('ElevenLabs Translator: Failed to cache translations:', retryError.message);
+                return;
+            }
+        }
+        console.log('ElevenLabs Translator: Cached', paragraphs.length, 'paragraph translations');
+    });
+}
+
+/**
+ * @returns {number} chrome.storage.local quota in bytes
+ */
+function getCacheQuotaBytes() {
+    return chrome.storage.local.QUOTA_BYTES || 10485760;
+}
+
+/**
+ * Evicts least-recently-used entries when a write would take storage past
+ * CONFIG.cache.evictAtQuotaFraction, down to CONFIG.cache.evictToQuotaFraction.
+ * @param {number} incomingBytes - Approximate size of the pending write
+ */
+async function ensureCacheSpace(incomingBytes) {
+    const quota = getCacheQuotaBytes();
+    const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+
+    if (bytesInUse + incomingBytes > quota * CONFIG.cache.evictAtQuotaFraction) {
+        await evictLeastRecentlyUsed(bytesInUse + incomingBytes - quota * CONFIG.cache.evictToQuotaFraction);
+    }
+}
+
+/**
+ * Removes paragraph entries, least recently used first, until enough bytes are freed.
+ * Article records left without paragraphs are removed too.
+ * @param {number} bytesToFree
+ * @returns {Promise<number>} Number of paragraph entries evicted
+ */
+async function evictLeastRecentlyUsed(bytesToFree) {
+    const allItems = await chrome.storage.local.get(null);
+    const entries = Object.keys(allItems)
+        .filter(key => key.startsWith(CONFIG.cache.prefix))
+        .map(key => ({ key, entry: allItems[key] }))
+        .sort((a, b) => (a.entry.lastAccess || 0) - (b.entry.lastAccess || 0));
+
+    const evicted = [];
+    let freed = 0;
+    for (const { key, entry } of entries) {
+        if (freed >= bytesToFree) break;
+        evicted.push(key);
+        freed += entry.size || key.length + JSON.stringify(entry).length;
+    }
+
+    // Articles whose paragraphs were all evicted
+    const remainingUrls = new Set();
+    entries.slice(evicted.length).forEach(({ entry }) => (entry.urls || []).forEach(url => remainingUrls.add(url)));
+    const emptyArticles = Object.keys(allItems).filter(key =>
+        key.startsWith(CONFIG.cache.articlePrefix) && !remainingUrls.has(allItems[key].url));
+
+    if (evicted.length + emptyArticles.length > 0) {
+        await chrome.storage.local.remove([...evicted, ...emptyArticles]);
+        console.log('ElevenLabs Translator: Evicted', evicted.length, 'least recently used cache entries (' + freed + ' bytes)');
+    }
+    return evicted.length;
+}
+
+/**
+ * Flags an article so the next cache lookup for it asks content.js to re-process
+ * its outdated paragraphs (used when the article isn't open in a tab).
+ * @param {string} url - The article URL
+ */
+async function requestArticleReprocess(url) {
+    return runCacheWrite(async () => {
+        const articleKey = getArticleKey(url);
+        const record = (await chrome.storage.local.get([articleKey]))[articleKey];
+        if (record) {
+            await chrome.storage.local.set({ [articleKey]: { ...record, reprocessRequested: true } });
+        }
+    });
+}
+
+/**
+ * Lists cached articles with their size, dates and models, most recently used first.
+ * Paragraphs shared between articles count towards each of them.
+ * @returns {Promise<{ articles: Array<object>, bytesInUse: number, quotaBytes: number }>}
+ */
+async function listCachedArticles() {
+    const context = await getCacheContext();
+    const allItems = await chrome.storage.local.get(null);
+    const articles = new Map();
+
+    Object.keys(allItems)
+        .filter(key => key.startsWith(CONFIG.cache.articlePrefix))
+        .forEach(key => {
+            const record = allItems[key];
+            articles.set(record.url, { ...record, size: 0, paragraphCount: 0, outdatedCount: 0, models: [] });
+        });
+
+    Object.keys(allItems)
+        .filter(key => key.startsWith(CONFIG.cache.prefix))
+        .forEach(key => {
+            const entry = allItems[key];
+            (entry.urls || []).forEach(url => {
+                const article = articles.get(url);
+                if (!article) return;
+                article.size += entry.size || 0;
+                article.paragraphCount++;
+                if (!isCacheEntryCurrent(entry, context)) article.outdatedCount++;
+                if (!article.models.includes(entry.model)) article.models.push(entry.model);
+            });
+        });
+
+    return {
+        articles: Array.from(articles.values())
+            .filter(article => article.paragraphCount > 0)
+            .sort((a, b) => b.lastAccess - a.lastAccess),
+        bytesInUse: await chrome.storage.local.getBytesInUse(null),
+        quotaBytes: getCacheQuotaBytes()
+    };
+}
+
+/**
+ * Deletes one article from the cache. Paragraphs shared with other articles are kept.
+ * @param {string} url - The article URL
+ * @returns {Promise<number>} Number of paragraph entries removed
+ */
+async function deleteCachedArticle(url) {
+    return runCacheWrite(async () => {
+        const allItems = await chrome.storage.local.get(null);
+        const toRemove = [getArticleKey(url)];
+        const toUpdate = {};
+
+        Object.keys(allItems)
+            .filter(key => key.startsWith(CONFIG.cache.prefix))
+            .forEach(key => {
+                const entry = allItems[key];
+                if (!entry.urls || !entry.urls.includes(url)) return;
+                if (entry.urls.length === 1) {
+                    toRemove.push(key);
+                } else {
+                    toUpdate[key] = { ...entry, urls: entry.urls.filter(u => u !== url) };
+                }
+            });
+
+        await chrome.storage.local.remove(toRemove);
+        if (Object.keys(toUpdate).length > 0) {
+            await chrome.storage.local.set(toUpdate);
+        }
+        console.log('ElevenLabs Translator: Deleted cached article', url);
+        return toRemove.length - 1;
+    });
+}
+
+/**
+ * Brings cache entries written in an older CONFIG.cache.version format up to
+ * date (re-keyed, as keys may change between versions); entries that can't be
+ * migrated are removed, which is all of them when updating from version 1.
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function migrateStoredCacheEntries() {
+    return runCacheWrite(async () => {
+        const allItems = await chrome.storage.local.get(null);
+        const oldKeys = Object.keys(allItems).filter(key =>
+            key.startsWith(CONFIG.cache.prefix) && allItems[key].version !== CONFIG.cache.version);
+        if (oldKeys.length === 0) return 0;
+
+        const migrated = {};
+        for (const key of oldKeys) {
+            const entry = migrateCacheEntry(allItems[key]);
+            if (entry) {
+                migrated[await getParagraphCacheKey(entry.words.map(text => ({ text: text })), entry)] = entry;
+            }
+        }
+
+        await chrome.storage.local.remove(oldKeys);
+        await chrome.storage.local.set(migrated);
+        const removed = oldKeys.length - Object.keys(migrated).length;
+        console.log('ElevenLabs Translator: Migrated', Object.keys(migrated).length, 'cache entries, removed', removed);
+        return removed;
+    });
+}
+
+chrome.runtime.onInstalled.addListener(function() {
+    migrateStoredCacheEntries().catch(function(error) {
+        console.warn('ElevenLabs Translator: Failed to migrate cache entries:', error.message);
+    });
+});
+
+/**
+ * Clears all cached translations.
+ * @returns {Promise<number>} Number of cache entries cleared
+ */
+async function clearAllCachedTranslations() {
+    const allItems = await chrome.storage.local.get(null);
+    const cacheKeys = Object.keys(allItems).filter(key => key.startsWith(CONFIG.cache.prefix));
+    const articleKeys = Object.keys(allItems).filter(key => key.startsWith(CONFIG.cache.articlePrefix));
+
+    if (cacheKeys.length + articleKeys.length > 0) {
+        await chrome.storage.local.remove([...cacheKeys, ...articleKeys]);
+        console.log('ElevenLabs Translator: Cleared', cacheKeys.length, 'cached translations');
+    }
+
+    return cacheKeys.length;
+}
+
+// =============================================================================
+// TRANSLATION OVERRIDES
+// Translations the user edited on the page. Stored per paragraph next to (not
+// in) the cache entry, keyed the same way, so they outlive re-processing and
+// clearing the cache. Each override names its block by word indices and is
+// applied to any result - cached or fresh - that has a block with those bounds.
+// =============================================================================
+
+/**
+ * Generates the override key for a paragraph.
+ * @param {Array<{text: string}>} words - The paragraph's words, in order
+ * @param {{ languagePair: { source: string, target: string } }} context - From getCacheContext()
+ * @returns {Promise<string>} Override key
+ */
+async function getParagraphOverrideKey(words, context) {
+    return CONFIG.cache.overridePrefix + await getParagraphHash(words, context);
+}
+
+/**
+ * Layers a paragraph's overrides over its blocks. Edited blocks get
+ * userEdited and keep the model's translation in modelTranslation.
+ * @param {object} responseData - Response with blocks array (c positions of `words`)
+ * @param {Array<{c: number, text: string}>} words - The paragraph's words
+ * @param {object} [record] - Stored overrides of the paragraph
+ * @returns {object} responseData, with a new blocks array if anything applied
+ */
+function applyTranslationOverrides(responseData, words, record) {
+    if (!record || !record.overrides || record.overrides.length === 0) return responseData;
+    // Guard against hash collisions
+    if (record.words.length !== words.length || record.words.some((text, i) => text !== words[i].text)) return responseData;
+
+    const blocks = responseData.blocks.map(block => {
+        const override = record.overrides.find(item =>
+            words[item.start].c === block.start_c && words[item.end].c === block.end_c);
+        if (!override) return block;
+        return {
+            ...block,
+            translation: override.translation,
+            modelTranslation: block.userEdited ? block.modelTranslation : block.translation,
+            userEdited: true
+        };
+    });
+    return { ...responseData, blocks: blocks };
+}
+
+/**
+ * Returns responseData with the model's translations back in place of user edits.
+ * @param {object} responseData
+ * @returns {object}
+ */
+function stripTranslationOverrides(responseData) {
+    if (!responseData.blocks.some(block => block.userEdited)) return responseData;
+    return {
+        ...responseData,
+        blocks: responseData.blocks.map(block => {
+            if (!block.userEdited) return block;
+            const { userEdited, modelTranslation, ...rest } = block;
+            return { ...rest, translation: modelTranslation };
+        })
+    };
+}
+
+/**
+ * Applies stored overrides to freshly partitioned paragraphs.
+ * @param {Array<{ words: Array<{c: number, text: string}>, responseData: object }>} paragraphs
+ * @returns {Promise<Array<object>>} responseData per paragraph, in order
+ */
+async function applyStoredOverrides(paragraphs) {
+    const context = await getCacheContext();
+    const keys = await Promise.all(paragraphs.map(p => getParagraphOverrideKey(p.words, context)));
+    const stored = await chrome.storage.local.get(keys);
+    return paragraphs.map((paragraph, i) =>
+        applyTranslationOverrides(paragraph.responseData, paragraph.words, stored[keys[i]]));
+}
+
+/**
+ * Saves (or, with a null translation, removes) the user's translation of one block.
+ * @param {Array<{c: number, text: string}>} words - The paragraph's words
+ * @param {{ start_c: number, end_c: number }} block - The edited block
+ * @param {string|null} translation - New translation, or null to restore the model's
+ * @returns {Promise<void>}
+ */
+async function setTranslationOverride(words, block, translation) {
+    const start = words.findIndex(word => word.c === block.start_c);
+    const end = words.findIndex(word => word.c === block.end_c);
+    if (start === -1 || end < start) throw new Error('Block does not match the paragraph words');
+
+    const context = await getCacheContext();
+    const key = await getParagraphOverrideKey(words, context);
+
+    return runCacheWrite(async () => {
+        const record = (await chrome.storage.local.get(key))[key] || {
+            languagePair: context.languagePair,
+            words: words.map(word => word.text),
+            overrides: []
+        };
+        record.overrides = record.overrides.filter(item => item.start !== start || item.end !== end);
+        if (translation !== null) {
+            record.overrides.push({ start: start, end: end, translation: translation, timestamp: Date.now() });
+        }
+
+        if (record.overrides.length > 0) {
+            await chrome.storage.local.set({ [key]: record });
+        } else {
+            await chrome.storage.local.remove(key);
+        }
+        console.log(`ElevenLabs Translator: ${translation !== null ? 'Saved' : 'Removed'} translation override for words ${start}-${end}`);
+
+        recordTrainingEdit(words, training => {
+            const block = training.finalBlocks.find(item => item.s === start && item.e === end);
+            if (!block) return;
+            training.edits.push({
+                type: 'translation', s: start, e: end, from: block.translation, to: translation, timestamp: Date.now()
+            });
+            if (translation === null) {
+                block.translation = block.modelTranslation ?? block.translation;
+                delete block.modelTranslation;
+                delete block.userEdited;
+            } else {
+                if (!block.userEdited) block.modelTranslation = block.translation;
+                block.translation = translation;
+                block.userEdited = true;
+            }
+        });
+    });
+}
+
+// =============================================================================
+// TRAINING CORPUS
+// Every segmentation the model produces is recorded for evaluating and tuning
+// prompts: source words, the model's raw blocks, the final blocks after repair
+// and splitting, validator violations, and the model and prompt version. Edits
+// made on the page (translations, boundaries) update the record and are listed
+// in its edits. One record per paragraph and language pair, keyed like the
+// cache; a new segmentation replaces the old record. Exported as JSONL.
+// The corpus shares chrome.storage.local with the cache, which never evicts
+// it, so it is kept within its own byte budget.
+// =============================================================================
+
+// Tail of the pending corpus writes (records are read-modify-written by edits)
+let trainingWriteQueue = Promise.resolve();
+// Bytes of the records in storage, measured once per service worker start (null = not yet)
+let trainingCorpusBytes = null;
+
+/**
+ * Runs a corpus write after the ones already queued. Failures are logged, not
+ * thrown: the corpus never gets in the way of translating.
+ * @param {function(): Promise<*>} write
+ * @returns {Promise<void>}
+ */
+function runTrainingWrite(write) {
+    trainingWriteQueue = trainingWriteQueue.then(write).catch(error => {
+        console.warn('ElevenLabs Translator: Failed to update training corpus:', error.message);
+    });
+    return trainingWriteQueue;
+}
+
+/**
+ * Generates the corpus key for a paragraph.
+ * @param {Array<{text: string}>} words - The paragraph's words, in order
+ * @param {{ languagePair: { source: string, target: string } }} context - From getCacheContext()
+ * @returns {Promise<string>}
+ */
+async function getTrainingExampleKey(words, context) {
+    return CONFIG.training.storagePrefix + await getParagraphHash(words, context);
+}
+
+/**
+ * Approximates what chrome.storage counts for a record: key plus JSON value.
+ * @param {string} key
+ * @param {object} record
+ * @returns {number}
+ */
+function getTrainingRecordSize(key, record) {
+    return key.length + JSON.stringify({ ...record, size: 0 }).length;
+}
+
+/**
+ * Stores a record in place of the previous one under its key and keeps the
+ * corpus within CONFIG.training.maxBytes. Removing records means reading the
+ * whole store, so once over budget the corpus is pruned to pruneToFraction of
+ * it, not just below it.
+ * @param {string} key
+ * @param {object} record
+ * @param {object} [previous] - The record stored under key so far
+ * @returns {Promise<void>}
+ */
+async function storeTrainingRecord(key, record, previous) {
+    if (trainingCorpusBytes === null) {
+        const all = await chrome.storage.local.get(null);
+        trainingCorpusBytes = Object.keys(all)
+            .filter(k => k.startsWith(CONFIG.training.storagePrefix))
+            .reduce((sum, k) => sum + (all[k].size || getTrainingRecordSize(k, all[k])), 0);
+    }
+    if (previous) trainingCorpusBytes -= previous.size || getTrainingRecordSize(key, previous);
+    record.size = getTrainingRecordSize(key, record);
+    await chrome.storage.local.set({ [key]: record });
+    trainingCorpusBytes += record.size;
+    if (trainingCorpusBytes > CONFIG.training.maxBytes) await pruneTrainingCorpus();
+}
+
+/**
+ * Converts blocks from c positions to word indices, the form used in the corpus.
+ * @param {Array<object>} blocks - Blocks with start_c, end_c, original and translation
+ * @param {Array<{c: number}>} words - The paragraph's words
+ * @returns {Array<{s: number, e: number, original: string, translation: string}>}
+ */
+function toTrainingBlocks(blocks, words) {
+    return blocks.map(block => {
+        const indexed = {
+            s: words.findIndex(word => word.c === block.start_c),
+            e: words.findIndex(word => word.c === block.end_c),
+            original: block.original,
+            translation: block.translation
+        };
+        if (block.userEdited) {
+            indexed.modelTranslation = block.modelTranslation;
+            indexed.userEdited = true;
+        }
+        return indexed;
+    });
+}
+
+/**
+ * Records a segmentation produced by the model, unless recording is off.
+ * @param {Array<{c: number, text: string}>} words - The paragraph's words
+ * @param {Array<{s: number, e: number, t: string}>} rawBlocks - Blocks as the model returned them
+ * @param {object} processed - From processParagraphBlocks(), with tokenUsage set on parsed
+ * @param {{ article?: object, fewShotIds?: string[] }} context - The repair context of the request
+ * @returns {Promise<void>}
+ */
+function recordTrainingExample(words, rawBlocks, processed, context) {
+    return runTrainingWrite(async () => {
+        const setting = (await chrome.storage.sync.get(['recordTrainingData'])).recordTrainingData;
+        if (!(setting ?? CONFIG.defaults.recordTrainingData)) return;
+
+        const cacheContext = await getCacheContext();
+        const key = await getTrainingExampleKey(words, cacheContext);
+        const now = Date.now();
+        const record = {
+            languagePair: cacheContext.languagePair,
+            provider: cacheContext.provider,
+            model: processed.parsed.tokenUsage?.model || cacheContext.model,
+            promptVersion: cacheContext.promptVersion,
+            promptFingerprint: cacheContext.promptFingerprint,
+            recordedAt: now,
+            updatedAt: now,
+            article: context.article || null,
+            words: words.map(word => word.text),
+            modelBlocks: rawBlocks,
+            repairs: processed.repairs,
+            splits: processed.parsed.blockSplits || [],
+            violations: processed.semanticValidation.violations,
+            fewShotExamples: context.fewShotIds || [],
+            finalBlocks: toTrainingBlocks(processed.parsed.blocks, words),
+            edits: []
+        };
+
+        await storeTrainingRecord(key, record, (await chrome.storage.local.get(key))[key]);
+    });
 }
 
 /**
- * Retrieves cached translations for a URL.
- * @param {string} url - The page URL
- * @returns {Promise<object|null>} Cached data or null if not found
+ * Removes the least recently updated records until the corpus is within
+ * CONFIG.training.pruneToFraction of CONFIG.training.maxBytes.
+ * @returns {Promise<void>}
  */
-async function getCachedTranslations(url) {
-    const key = getCacheKey(url);
-    const result = await chrome.storage.local.get([key]);
-    const cached = result[key];
+async function pruneTrainingCorpus() {
+    const all = await chrome.storage.local.get(null);
+    const keys = Object.keys(all)
+        .filter(key => key.startsWith(CONFIG.training.storagePrefix))
+        .sort((a, b) => all[a].updatedAt - all[b].updatedAt);
+    const sizeOf = key => all[key].size || getTrainingRecordSize(key, all[key]);
+    let bytes = keys.reduce((sum, key) => sum + sizeOf(key), 0);
+
+    const excess = [];
+    for (const key of keys) {
+        if (bytes <= CONFIG.training.maxBytes * CONFIG.training.pruneToFraction) break;
+        excess.push(key);
+        bytes -= sizeOf(key);
+    }
+    if (excess.length > 0) {
+        await chrome.storage.local.remove(excess);
+        console.log('ElevenLabs Translator: Removed', excess.length, 'least recently updated training examples');
+    }
+    trainingCorpusBytes = bytes;
+}
+
+/**
+ * Adds an on-page edit to a paragraph's record. Paragraphs segmented before
+ * recording started (or with recording off) have no record and are skipped.
+ * @param {Array<{c: number, text: string}>} words - The paragraph's words
+ * @param {function(object): void} update - Applies the edit to the record
+ * @returns {Promise<void>}
+ */
+function recordTrainingEdit(words, update) {
+    return runTrainingWrite(async () => {
+        const key = await getTrainingExampleKey(words, await getCacheContext());
+        const record = (await chrome.storage.local.get(key))[key];
+        if (!record) return;
+        const previous = { size: record.size || getTrainingRecordSize(key, record) };
+        update(record);
+        record.updatedAt = Date.now();
+        await storeTrainingRecord(key, record, previous);
+    });
+}
+
+/**
+ * Returns the corpus as JSONL, one record per line, oldest first.
+ * @returns {Promise<{ jsonl: string, count: number }>}
+ */
+async function exportTrainingCorpus() {
+    await trainingWriteQueue;
+    const all = await chrome.storage.local.get(null);
+    const records = Object.keys(all)
+        .filter(key => key.startsWith(CONFIG.training.storagePrefix))
+        .map(key => all[key])
+        .sort((a, b) => a.recordedAt - b.recordedAt);
+    return {
+        jsonl: records.map(record => JSON.stringify(record) + '\n').join(''),
+        count: records.length
+    };
+}
+
+/**
+ * Deletes every corpus record.
+ * @returns {Promise<number>} Number of records deleted
+ */
+function clearTrainingCorpus() {
+    // Unlike other corpus writes, failures reach the caller
+    const cleared = trainingWriteQueue.then(async () => {
+        const all = await chrome.storage.local.get(null);
+        const keys = Object.keys(all).filter(key => key.startsWith(CONFIG.training.storagePrefix));
+        await chrome.storage.local.remove(keys);
+        trainingCorpusBytes = 0;
+        console.log('ElevenLabs Translator: Cleared', keys.length, 'training examples');
+        return keys.length;
+    });
+    trainingWriteQueue = cleared.catch(() => {});
+    return cleared;
+}
+
+// =============================================================================
+// FEW-SHOT EXAMPLES
+// Curated good segmentations sent as example turns before the input. The store
+// (CONFIG.fewShot.storageKey) is filled from the training corpus - paragraphs
+// whose blocks were corrected on the page - or from files shared by others,
+// and edited on the options page. Examples are picked per request by language
+// pair and word overlap with the text being segmented.
+// =============================================================================
+
+/**
+ * Loads the stored examples of a language pair.
+ * @param {{ source: string, target: string }} languagePair
+ * @returns {Promise<Array<{ id: string, sourceLanguage: string, targetLanguage: string, words: string[], blocks: Array<{s: number, e: number, t: string}>, addedAt: number }>>}
+ */
+async function getFewShotExamples(languagePair) {
+    const key = CONFIG.fewShot.storageKey;
+    const result = await chrome.storage.local.get(key);
+    return (result[key] || []).filter(example =>
+        example.sourceLanguage === languagePair.source && example.targetLanguage === languagePair.target);
+}
+
+/**
+ * Returns the set of distinct words of a text, normalized like glossary terms.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function getWordSet(text) {
+    return new Set(normalizeGlossaryText(text).split(' ').filter(word => word.length > 0));
+}
+
+/**
+ * Picks the examples most similar to a request (word overlap, Jaccard index;
+ * newer first on ties) within CONFIG.fewShot.maxPerRequest and maxTokens, and
+ * builds their turns.
+ * @param {Array<object>} examples - Examples of the language pair
+ * @param {string} text - Source text of the request
+ * @param {boolean} batch - The request uses the batch format
+ * @returns {{ messages: Array<{role: string, content: string}>, ids: string[], tokens: number }}
+ */
+function buildFewShotTurns(examples, text, batch) {
+    const textWords = getWordSet(text);
+    const scored = examples.map(example => {
+        const exampleWords = getWordSet(example.words.join(' '));
+        let shared = 0;
+        exampleWords.forEach(word => { if (textWords.has(word)) shared++; });
+        const union = textWords.size + exampleWords.size - shared;
+        return { example: example, score: union > 0 ? shared / union : 0 };
+    }).sort((a, b) => b.score - a.score || b.example.addedAt - a.example.addedAt);
+
+    const selected = [];
+    let tokens = 0;
+    for (const { example } of scored) {
+        if (selected.length >= CONFIG.fewShot.maxPerRequest) break;
+        const exampleTokens = buildFewShotMessages([example], batch)
+            .reduce((sum, message) => sum + estimateTokens(message.content), 0);
+        if (tokens + exampleTokens > CONFIG.fewShot.maxTokens) continue;
+        selected.push(example);
+        tokens += exampleTokens;
+    }
+
+    return {
+        messages: buildFewShotMessages(selected, batch),
+        ids: selected.map(example => example.id),
+        tokens: tokens
+    };
+}
+
+/**
+ * Converts a training corpus record, or an example from a shared file, to a
+ * stored example. Only corpus records corrected on the page qualify: the
+ * others are the model's own output. Words must be non-empty strings (they go
+ * into prompts), and blocks must cover them in order and all be translated.
+ * @param {object} item - Corpus record (languagePair, words, finalBlocks, edits) or example (sourceLanguage, targetLanguage, words, blocks)
+ * @returns {object|null} Example without id/addedAt, or null if unusable
+ */
+function toFewShotExample(item) {
+    if (!item || !Array.isArray(item.words) || item.words.length === 0) return null;
+    if (!item.words.every(word => typeof word === 'string' && word.trim().length > 0)) return null;
+    if (item.finalBlocks && !(Array.isArray(item.edits) && item.edits.length > 0)) return null;
+    const sourceLanguage = item.languagePair ? item.languagePair.source : item.sourceLanguage;
+    const targetLanguage = item.languagePair ? item.languagePair.target : item.targetLanguage;
+    if (!CONFIG.languages[sourceLanguage] || !CONFIG.languages[targetLanguage]) return null;
+
+    const source = item.finalBlocks || item.blocks;
+    if (!Array.isArray(source) || source.length === 0) return null;
+    const blocks = source.map(block => ({ s: block.s, e: block.e, t: block.t ?? block.translation }));
+    const valid = blocks.every((block, i) =>
+        block.s === (i === 0 ? 0 : blocks[i - 1].e + 1) && Number.isInteger(block.e) && block.e >= block.s &&
+        typeof block.t === 'string' && block.t.trim().length > 0);
+    if (!valid || blocks[blocks.length - 1].e !== item.words.length - 1) return null;
+
+    return { sourceLanguage: sourceLanguage, targetLanguage: targetLanguage, words: item.words, blocks: blocks };
+}
+
+/**
+ * Adds examples to the store. An example for the same words and language pair
+ * replaces the stored one; beyond CONFIG.fewShot.maxStored the oldest are dropped.
+ * @param {Array<object>} items - Corpus records or examples (see toFewShotExample)
+ * @returns {Promise<{ added: number, updated: number, rejected: number }>}
+ */
+async function addFewShotExamples(items) {
+    const key = CONFIG.fewShot.storageKey;
+    const stored = (await chrome.storage.local.get(key))[key] || [];
+    const identity = example => JSON.stringify([example.sourceLanguage, example.targetLanguage, example.words]);
+    const byIdentity = new Map(stored.map(example => [identity(example), example]));
+    const now = Date.now();
+    let added = 0;
+    let updated = 0;
+    let rejected = 0;
+
+    items.forEach(item => {
+        const example = toFewShotExample(item);
+        if (!example) {
+            rejected++;
+            return;
+        }
+        const existing = byIdentity.get(identity(example));
+        if (existing) updated++;
+        else added++;
+        byIdentity.set(identity(example), {
+            id: existing ? existing.id : now.toString(36) + Math.random().toString(36).slice(2, 6),
+            ...example,
+            addedAt: now
+        });
+    });
+
+    const examples = Array.from(byIdentity.values())
+        .sort((a, b) => a.addedAt - b.addedAt)
+        .slice(-CONFIG.fewShot.maxStored);
+    await chrome.storage.local.set({ [key]: examples });
+    console.log(`ElevenLabs Translator: Few-shot examples: ${added} added, ${updated} updated, ${rejected} rejected`);
+    return { added: added, updated: updated, rejected: rejected };
+}
+
+/**
+ * Adds the training corpus paragraphs that were corrected on the page (with
+ * translation or boundary edits) to the example store.
+ * @returns {Promise<{ added: number, updated: number, rejected: number }>}
+ */
+async function addCorrectedExamplesFromCorpus() {
+    await trainingWriteQueue;
+    const all = await chrome.storage.local.get(null);
+    const corrected = Object.keys(all)
+        .filter(key => key.startsWith(CONFIG.training.storagePrefix))
+        .map(key => all[key])
+        .filter(record => record.edits && record.edits.length > 0);
+    return addFewShotExamples(corrected);
+}
+
+// =============================================================================
+// CACHE IMPORT / EXPORT
+// Portable JSON file: { format, version, exportedAt, articles, entries }.
+// Entry keys are not exported - they are recomputed on import, so an entry
+// can only land under the key its own words, language pair and model produce.
+// =============================================================================
+
+const CACHE_EXPORT_FORMAT = 'flowreader-cache';
+
+/**
+ * Migrations from older CONFIG.cache.version entry formats, keyed by version.
+ * Each returns the entry in the next version's format, or null if it can't be
+ * converted. Version 1 (URL + index blobs) has no word lists and can't be
+ * migrated; version 2 was never released.
+ */
+const CACHE_MIGRATIONS = {};
+
+/**
+ * Exports the cache, or only the paragraphs of some articles.
+ * @param {string[]|null} urls - Article URLs to export, or null for everything
+ * @returns {Promise<object>} Export file contents
+ */
+async function exportCache(urls) {
+    const allItems = await chrome.storage.local.get(null);
+    const wanted = urls ? new Set(urls) : null;
+
+    const articles = Object.keys(allItems)
+        .filter(key => key.startsWith(CONFIG.cache.articlePrefix))
+        .map(key => allItems[key])
+        .filter(article => !wanted || wanted.has(article.url));
+
+    const entries = Object.keys(allItems)
+        .filter(key => key.startsWith(CONFIG.cache.prefix))
+        .map(key => allItems[key])
+        .filter(entry => !wanted || (entry.urls || []).some(url => wanted.has(url)))
+        .map(entry => ({
+            ...entry,
+            urls: wanted ? entry.urls.filter(url => wanted.has(url)) : entry.urls
+        }));
+
+    console.log('ElevenLabs Translator: Exported', entries.length, 'cache entries from', articles.length, 'articles');
+    return {
+        format: CACHE_EXPORT_FORMAT,
+        version: CONFIG.cache.version,
+        exportedAt: Date.now(),
+        articles: articles,
+        entries: entries
+    };
+}
+
+/**
+ * Brings an imported entry to the current CONFIG.cache.version.
+ * @param {object} entry
+ * @returns {object|null} Migrated entry, or null if it can't be migrated
+ */
+function migrateCacheEntry(entry) {
+    let migrated = entry;
+    while (migrated && migrated.version !== CONFIG.cache.version) {
+        const migrate = CACHE_MIGRATIONS[migrated.version];
+        migrated = migrate ? migrate(migrated) : null;
+    }
+    return migrated;
+}
+
+/**
+ * Checks an imported entry's shape and runs its blocks through validateLLMResponse().
+ * @param {object} entry
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateImportedEntry(entry) {
+    if (!Array.isArray(entry.words) || !entry.words.every(text => typeof text === 'string')) {
+        return { valid: false, error: 'Missing or invalid words' };
+    }
+    if (!Array.isArray(entry.positions) || entry.positions.length !== entry.words.length ||
+        !entry.positions.every(c => typeof c === 'number')) {
+        return { valid: false, error: 'Missing or invalid word positions' };
+    }
+    if (!Array.isArray(entry.urls) || !entry.urls.every(url => typeof url === 'string')) {
+        return { valid: false, error: 'Missing or invalid article URLs' };
+    }
+    if (!entry.languagePair || !LANGUAGE_RULES[entry.languagePair.source] ||
+        !CONFIG.languages[entry.languagePair.target]) {
+        return { valid: false, error: 'Missing or unsupported language pair' };
+    }
+    if (!PROVIDERS[entry.provider] || typeof entry.model !== 'string' || typeof entry.promptVersion !== 'string') {
+        return { valid: false, error: 'Missing provider, model or prompt version' };
+    }
+    if (!entry.responseData) {
+        return { valid: false, error: 'Missing responseData' };
+    }
+    return validateLLMResponse(entry.responseData, entry.positions.map(c => ({ c: c })));
+}
+
+/**
+ * Imports an export file, merging it into the cache. When an entry already
+ * exists the more recently created one wins; article links are always merged.
+ * @param {object} data - Parsed export file
+ * @returns {Promise<{ added: number, updated: number, kept: number, rejected: number, errors: string[] }>}
+ */
+async function importCache(data) {
+    if (!data || data.format !== CACHE_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+        throw new Error('Not a FlowReader cache file');
+    }
+    if (data.version !== CONFIG.cache.version && !CACHE_MIGRATIONS[data.version]) {
+        throw new Error(`Unsupported cache version ${data.version} (expected ${CONFIG.cache.version})`);
+    }
+
+    const result = { added: 0, updated: 0, kept: 0, rejected: 0, errors: [] };
+    const reject = (index, error) => {
+        result.rejected++;
+        if (result.errors.length < 10) result.errors.push(`Entry ${index}: ${error}`);
+    };
+
+    // Validate and key every entry before touching storage
+    const incoming = {};
+    const indexByKey = {};
+    for (let i = 0; i < data.entries.length; i++) {
+        const entry = migrateCacheEntry({ version: data.version, ...data.entries[i] });
+        if (!entry) {
+            reject(i, `cannot migrate from version ${data.entries[i].version || data.version}`);
+            continue;
+        }
+
+        const validation = validateImportedEntry(entry);
+        if (!validation.valid) {
+            reject(i, validation.error);
+            continue;
+        }
+
+        const key = await getParagraphCacheKey(entry.words.map(text => ({ text: text })), entry);
+        if (incoming[key]) {
+            reject(i, `duplicate of entry ${indexByKey[key]}`);
+            continue;
+        }
+        incoming[key] = entry;
+        indexByKey[key] = i;
+    }
+
+    return runCacheWrite(async () => {
+        const keys = Object.keys(incoming);
+        const articleRecords = (Array.isArray(data.articles) ? data.articles : [])
+            .filter(article => article && typeof article.url === 'string');
+        const articleKeys = articleRecords.map(article => getArticleKey(article.url));
+        const stored = await chrome.storage.local.get([...keys, ...articleKeys]);
+        const now = Date.now();
+        const items = {};
+
+        keys.forEach(key => {
+            const entry = incoming[key];
+            const existing = stored[key];
+            const urls = Array.from(new Set([...(existing && existing.urls || []), ...entry.urls]));
+
+            let merged;
+            if (!existing) {
+                merged = entry;
+                result.added++;
+            } else if ((entry.timestamp || 0) > (existing.timestamp || 0)) {
+                merged = entry;
+                result.updated++;
+            } else {
+                merged = existing;
+                result.kept++;
+            }
+
+            const item = {
+                version: CONFIG.cache.version,
+                timestamp: merged.timestamp || now,
+                lastAccess: now,
+                size: 0,
+                urls: urls,
+                languagePair: merged.languagePair,
+                provider: merged.provider,
+                model: merged.model,
+                promptVersion: merged.promptVersion,
+                promptFingerprint: merged.promptFingerprint || null,
+                glossaryTerms: merged.glossaryTerms || [],
+                words: merged.words,
+                positions: merged.positions,
+                responseData: merged.responseData
+            };
+            item.size = key.length + JSON.stringify(item).length;
+            items[key] = item;
+        });
+
+        // Article records for imported paragraphs; local titles and dates take precedence
+        const importedUrls = new Set(keys.flatMap(key => items[key].urls));
+        articleRecords.forEach((article, i) => {
+            if (!importedUrls.has(article.url)) return;
+            const existing = stored[articleKeys[i]];
+            items[articleKeys[i]] = {
+                url: article.url,
+                title: (existing && existing.title) || article.title || article.url,
+                timestamp: Math.min(existing ? existing.timestamp : now, article.timestamp || now),
+                lastAccess: now
+            };
+        });
+
+        const incomingBytes = keys.reduce((sum, key) => sum + items[key].size, 0);
+        await ensureCacheSpace(incomingBytes);
+        await chrome.storage.local.set(items);
+
+        console.log('ElevenLabs Translator: Imported cache -', result.added, 'added,', result.updated,
+            'updated,', result.kept, 'kept,', result.rejected, 'rejected');
+        return result;
+    });
+}
+
+// =============================================================================
+// COST LEDGER
+// Every LLM call's usage and cost, aggregated into one row per day, provider,
+// model and article under CONFIG.costLedger.storageKey. Days older than
+// CONFIG.costLedger.retentionDays are folded into one row per month, provider
+// and model (day "YYYY-MM", monthly: true), so the ledger stays bounded. The
+// popup derives its today/week/month/per-article totals and the CSV export
+// from the rows.
+// =============================================================================
+
+// Tail of the pending ledger writes (read-modify-write, so one at a time)
+let ledgerWriteQueue = Promise.resolve();
+
+// provider/model pairs already warned about as having no pricing
+const unpricedModelsWarned = new Set();
+
+/**
+ * Returns the local calendar day of a timestamp as YYYY-MM-DD.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function getLocalDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Folds the ledger's rows older than CONFIG.costLedger.retentionDays into
+ * monthly rows per provider and model (the per-article detail is dropped).
+ * @param {Object<string, object>} ledger - Rows by key, changed in place
+ * @param {number} now - Timestamp
+ */
+function foldOldLedgerRows(ledger, now) {
+    const cutoff = getLocalDayKey(now - CONFIG.costLedger.retentionDays * 24 * 60 * 60 * 1000);
+    Object.keys(ledger).forEach(key => {
+        const row = ledger[key];
+        if (row.monthly || row.day >= cutoff) return;
+        const month = row.day.slice(0, 7);
+        const monthKey = [month, row.provider, row.model, ''].join('|');
+        const total = ledger[monthKey] ||
+            { day: month, provider: row.provider, model: row.model, url: '', title: '', monthly: true, lastCall: 0 };
+        // Counts (calls, tokens, cost) add up
+        Object.keys(row).forEach(field => {
+            if (typeof row[field] === 'number' && field !== 'lastCall') total[field] = (total[field] || 0) + row[field];
+        });
+        total.lastCall = Math.max(total.lastCall, row.lastCall || 0);
+        ledger[monthKey] = total;
+        delete ledger[key];
+    });
+}
 
-    if (cached && cached.version === CONFIG.cache.version) {
-        console.log('ElevenLabs Translator: Cache hit for', url);
-        return cached;
+/**
+ * Adds one LLM call to the ledger. Calls to a model without pricing are
+ * counted as unpriced instead of being given a cost.
+ * @param {{ promptTokens: number, completionTokens: number, provider: string, model: string }} tokenUsage
+ *   Usage of the call, with the provider and the model it reported using
+ * @param {{ url: string, title: string }} [article] - Article the call was made for
+ * @returns {Promise<void>}
+ */
+function recordLLMUsage(tokenUsage, article) {
+    const now = Date.now();
+    const day = getLocalDayKey(now);
+    const url = article && article.url ? article.url : '';
+    const provider = tokenUsage.provider;
+    const model = tokenUsage.model;
+    const rowKey = [day, provider, model, url].join('|');
+    const promptTokens = tokenUsage.promptTokens || 0;
+    const completionTokens = tokenUsage.completionTokens || 0;
+    const contextTokens = tokenUsage.contextTokens || 0;
+    const cost = calculateTokenCost(tokenUsage, provider, model);
+
+    if (cost === null && !unpricedModelsWarned.has(provider + '/' + model)) {
+        unpricedModelsWarned.add(provider + '/' + model);
+        console.warn(`ElevenLabs Translator: No pricing for ${provider}/${model} - add it to CONFIG.pricing; its calls are recorded as unpriced`);
+    }
+
+    const write = ledgerWriteQueue.then(async () => {
+        const key = CONFIG.costLedger.storageKey;
+        const ledger = (await chrome.storage.local.get([key]))[key] || {};
+        const row = ledger[rowKey] || {
+            day: day,
+            provider: provider,
+            model: model,
+            url: url,
+            title: '',
+            calls: 0,
+            unpricedCalls: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            contextTokens: 0,
+            cost: 0
+        };
+
+        row.title = (article && article.title) || row.title;
+        row.calls++;
+        row.promptTokens += promptTokens;
+        row.completionTokens += completionTokens;
+        row.contextTokens = (row.contextTokens || 0) + contextTokens;
+        if (cost === null) {
+            row.unpricedCalls = (row.unpricedCalls || 0) + 1;
+        } else {
+            row.cost += cost;
+        }
+        row.lastCall = now;
+        ledger[rowKey] = row;
+        foldOldLedgerRows(ledger, now);
+
+        await chrome.storage.local.set({ [key]: ledger });
+    });
+    ledgerWriteQueue = write.catch(error => {
+        console.warn('ElevenLabs Translator: Failed to record usage:', error.message);
+    });
+    return ledgerWriteQueue;
+}
+
+/**
+ * Returns all ledger rows, oldest day first.
+ * @returns {Promise<Array<object>>}
+ */
+async function getCostLedger() {
+    await ledgerWriteQueue;
+    const key = CONFIG.costLedger.storageKey;
+    const ledger = (await chrome.storage.local.get([key]))[key] || {};
+    return Object.values(ledger).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Returns what has been spent today and this calendar month.
+ * @returns {Promise<{ today: number, month: number }>}
+ */
+async function getSpendingTotals() {
+    const today = getLocalDayKey(Date.now());
+    const monthStart = today.slice(0, 8) + '01';
+    const rows = await getCostLedger();
+    return {
+        today: rows.filter(row => row.day === today).reduce((sum, row) => sum + row.cost, 0),
+        month: rows.filter(row => row.day >= monthStart).reduce((sum, row) => sum + row.cost, 0)
+    };
+}
+
+// Estimated costs of the LLM calls sent but not yet in the ledger ({ cost })
+const budgetReservations = new Set();
+
+/**
+ * Estimates what one LLM call will cost: the prompt is all its messages, and
+ * the answer is taken to be as long as the user turn it answers.
+ * @param {object} settings - Resolved provider settings
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {number} USD; 0 when the model has no pricing
+ */
+function estimateCallCost(settings, messages) {
+    const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(messages[messages.length - 1].content);
+    return calculateTokenCost({ promptTokens, completionTokens }, settings.provider, settings.model) || 0;
+}
+
+/**
+ * Reserves a call's estimated cost against the daily and monthly caps, or
+ * throws when the call could take spending past one. What is spent counts the
+ * ledger plus the calls still running, so concurrent calls can't all pass on
+ * the same total. Checked right before every LLM call, so requests already
+ * queued stop once a cap is hit.
+ * @param {number} estimate - From estimateCallCost()
+ * @returns {Promise<{ cost: number }|null>} Pass to releaseBudget() once the call is in the ledger or failed; null when no cap is set
+ * @throws {Error} 'Budget exceeded: ...' (non-retryable)
+ */
+async function reserveBudget(estimate) {
+    const caps = await chrome.storage.sync.get(['dailyCap', 'monthlyCap']);
+    const dailyCap = caps.dailyCap ?? CONFIG.defaults.dailyCap;
+    const monthlyCap = caps.monthlyCap ?? CONFIG.defaults.monthlyCap;
+    if (!dailyCap && !monthlyCap) return null;
+
+    // Calls running before or after the ledger read: one that was recorded and
+    // released in between is then counted twice rather than not at all
+    const running = new Set(budgetReservations);
+    const spent = await getSpendingTotals();
+    budgetReservations.forEach(reservation => running.add(reservation));
+    const pending = Array.from(running).reduce((sum, reservation) => sum + reservation.cost, 0) + estimate;
+
+    if (dailyCap && spent.today + pending > dailyCap) {
+        throw new Error(`Budget exceeded: daily cap of $${dailyCap.toFixed(2)} would be passed ($${spent.today.toFixed(2)} spent today, about $${pending.toFixed(2)} more for the calls under way)`);
+    }
+    if (monthlyCap && spent.month + pending > monthlyCap) {
+        throw new Error(`Budget exceeded: monthly cap of $${monthlyCap.toFixed(2)} would be passed ($${spent.month.toFixed(2)} spent this month, about $${pending.toFixed(2)} more for the calls under way)`);
+    }
+    const reservation = { cost: estimate };
+    budgetReservations.add(reservation);
+    return reservation;
+}
+
+/**
+ * Releases a reservation made by reserveBudget().
+ * @param {{ cost: number }|null} reservation
+ */
+function releaseBudget(reservation) {
+    if (reservation) budgetReservations.delete(reservation);
+}
+
+/**
+ * Estimates what partitioning the given paragraphs would cost, packed the way
+ * handleBatchPartitioning() would pack them. Input is the system prompt once per
+ * call plus the context and word lists; output is estimated per source word.
+ * @param {Array<{ id: *, words: Array<{c: number, text: string}>, context?: Array<object> }>} paragraphs
+ * @returns {Promise<{ paragraphs: number, words: number, calls: number, promptTokens: number, completionTokens: number, provider: string, model: string, cost: number|null }>}
+ *   cost is null when the configured model has no pricing
+ */
+async function estimatePartitionCost(paragraphs) {
+    const settings = await getProviderSettings();
+    const languagePair = await getLanguagePair();
+    const batches = packParagraphBatches(paragraphs);
+    const singlePromptTokens = estimateTokens(buildSystemPrompt(languagePair.source, languagePair.target));
+    const batchPromptTokens = estimateTokens(buildBatchSystemPrompt(languagePair.source, languagePair.target));
+    const fewShotExamples = await getFewShotExamples(languagePair);
+
+    let promptTokens = 0;
+    let words = 0;
+    batches.forEach(batch => {
+        promptTokens += batch.length === 1 ? singlePromptTokens : batchPromptTokens;
+        promptTokens += buildFewShotTurns(
+            fewShotExamples,
+            batch.map(paragraph => paragraph.words.map(word => word.text).join(' ')).join('\n'),
+            batch.length > 1
+        ).tokens;
+        promptTokens += buildContextMessages(
+            batch.flatMap(paragraph => paragraph.context || []),
+            new Set(batch.map(paragraph => paragraph.id))
+        ).contextTokens;
+        batch.forEach(paragraph => {
+            const simplified = paragraph.words.map((word, index) => ({ i: index, w: word.text }));
+            promptTokens += estimateTokens(JSON.stringify(simplified));
+            words += paragraph.words.length;
+        });
+    });
+    const completionTokens = Math.ceil(words * CONFIG.budget.completionTokensPerWord);
+
+    return {
+        paragraphs: paragraphs.length,
+        words: words,
+        calls: batches.length,
+        promptTokens: promptTokens,
+        completionTokens: completionTokens,
+        provider: settings.provider,
+        model: settings.model,
+        cost: calculateTokenCost({ promptTokens, completionTokens }, settings.provider, settings.model)
+    };
+}
+
+/**
+ * Identifies the article a partition request is for (for the cost ledger).
+ * @param {object} request - Message with an optional article field
+ * @param {object} sender - Message sender (content script tab)
+ * @returns {{ url: string, title: string }|null}
+ */
+function getRequestArticle(request, sender) {
+    if (request.article) return request.article;
+    if (sender && sender.tab) return { url: sender.tab.url, title: sender.tab.title };
+    return null;
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+    if (request.action === 'PARTITION_TEXT') {
+        handlePositionBasedPartitioning(request.wordData, request.priority, getRequestArticle(request, sender))
+            .then(function(result) {
+                return applyStoredOverrides([{ words: request.wordData.words, responseData: result }]);
+            })
+            .then(function(results) {
+                sendResponse({ success: true, data: results[0] });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'PARTITION_BATCH') {
+        handleBatchPartitioning(request.paragraphs, request.priority, getRequestArticle(request, sender))
+            .then(async function(results) {
+                // User edits of these paragraphs apply to fresh results too
+                const succeeded = results.filter(result => result.success);
+                const withOverrides = await applyStoredOverrides(succeeded.map(result => ({
+                    words: request.paragraphs.find(paragraph => paragraph.id === result.id).words,
+                    responseData: result.data
+                })));
+                succeeded.forEach((result, i) => { result.data = withOverrides[i]; });
+                sendResponse({ success: true, data: results });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'ESTIMATE_COST') {
+        estimatePartitionCost(request.paragraphs)
+            .then(function(estimate) {
+                sendResponse({ success: true, data: estimate });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'HARMONIZE_TERMINOLOGY') {
+        harmonizeTerminology(request.paragraphs, request.known, getRequestArticle(request, sender))
+            .then(function(result) {
+                sendResponse({ success: true, data: result });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'SET_TRANSLATION_OVERRIDE') {
+        setTranslationOverride(request.words, request.block, request.translation)
+            .then(function() {
+                sendResponse({ success: true });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'RESEGMENT_PARAGRAPH') {
+        resegmentParagraph(request.words, request.blocks, getRequestArticle(request, sender))
+            .then(function(result) {
+                return applyStoredOverrides([{ words: request.words, responseData: result }]);
+            })
+            .then(function(results) {
+                sendResponse({ success: true, data: results[0] });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'EXPORT_TRAINING_CORPUS') {
+        exportTrainingCorpus()
+            .then(function(result) {
+                sendResponse({ success: true, data: result });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'CLEAR_TRAINING_CORPUS') {
+        clearTrainingCorpus()
+            .then(function(count) {
+                sendResponse({ success: true, count: count });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
     }
-    return null;
-}
 
-/**
- * Stores translations in the cache.
- * @param {string} url - The page URL
- * @param {Array<object>} paragraphs - Array of paragraph translation data
- */
-async function setCachedTranslations(url, paragraphs) {
-    const key = getCacheKey(url);
-    const cacheData = {
-        version: CONFIG.cache.version,
-        timestamp: Date.now(),
-        paragraphs: paragraphs
-    };
+    if (request.action === 'ADD_FEW_SHOT_FROM_CORPUS') {
+        addCorrectedExamplesFromCorpus()
+            .then(function(result) {
+                sendResponse({ success: true, data: result });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
 
-    try {
-        await chrome.storage.local.set({ [key]: cacheData });
-        console.log('ElevenLabs Translator: Cached translations for', url);
-    } catch (error) {
-        console.warn('ElevenLabs Translator: Failed to cache translations:', error.message);
+    if (request.action === 'IMPORT_FEW_SHOT_EXAMPLES') {
+        addFewShotExamples(request.items || [])
+            .then(function(result) {
+                sendResponse({ success: true, data: result });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
     }
-}
 
-/**
- * Clears all cached translations.
- * @returns {Promise<number>} Number of cache entries cleared
- */
-async function clearAllCachedTranslations() {
-    const allItems = await chrome.storage.local.get(null);
-    const cacheKeys = Object.keys(allItems).filter(key => key.startsWith(CONFIG.cache.prefix));
+    if (request.action === 'GET_COST_LEDGER') {
+        getCostLedger()
+            .then(function(rows) {
+                sendResponse({ success: true, data: rows });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
 
-    if (cacheKeys.length > 0) {
-        await chrome.storage.local.remove(cacheKeys);
-        console.log('ElevenLabs Translator: Cleared', cacheKeys.length, 'cached translations');
+    if (request.action === 'GET_CACHED_PARAGRAPHS') {
+        getCachedParagraphs(request.paragraphs, request.article)
+            .then(function(hits) {
+                sendResponse({ success: true, data: hits });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
     }
 
-    return cacheKeys.length;
-}
+    if (request.action === 'SET_CACHED_PARAGRAPHS') {
+        setCachedParagraphs(request.paragraphs, request.article)
+            .then(function() {
+                sendResponse({ success: true });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
 
-chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
-    if (request.action === 'PARTITION_TEXT') {
-        handlePositionBasedPartitioning(request.wordData)
+    if (request.action === 'LIST_CACHED_ARTICLES') {
+        listCachedArticles()
             .then(function(result) {
                 sendResponse({ success: true, data: result });
             })
@@ -79,10 +1693,10 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
         return true;
     }
 
-    if (request.action === 'GET_CACHED_TRANSLATIONS') {
-        getCachedTranslations(request.url)
-            .then(function(cached) {
-                sendResponse({ success: true, data: cached });
+    if (request.action === 'DELETE_CACHED_ARTICLE') {
+        deleteCachedArticle(request.url)
+            .then(function(count) {
+                sendResponse({ success: true, count: count });
             })
             .catch(function(error) {
                 sendResponse({ success: false, error: error.message });
@@ -90,8 +1704,8 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
         return true;
     }
 
-    if (request.action === 'SET_CACHED_TRANSLATIONS') {
-        setCachedTranslations(request.url, request.paragraphs)
+    if (request.action === 'REQUEST_REPROCESS') {
+        requestArticleReprocess(request.url)
             .then(function() {
                 sendResponse({ success: true });
             })
@@ -101,8 +1715,30 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
         return true;
     }
 
+    if (request.action === 'EXPORT_CACHE') {
+        exportCache(request.urls || null)
+            .then(function(data) {
+                sendResponse({ success: true, data: data });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'IMPORT_CACHE') {
+        importCache(request.data)
+            .then(function(result) {
+                sendResponse({ success: true, data: result });
+            })
+            .catch(function(error) {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
     if (request.action === 'CLEAR_CACHE') {
-        clearAllCachedTranslations()
+        runCacheWrite(clearAllCachedTranslations)
             .then(function(count) {
                 sendResponse({ success: true, count: count });
             })
@@ -116,128 +1752,657 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
 });
 
 /**
- * Validates LLM response structure and data integrity.
- * @param {object} parsed - Parsed JSON response
- * @param {Array<{c: number}>} words - Original word data
- * @returns {{ valid: boolean, error?: string }}
+ * Validates LLM response structure and data integrity.
+ * @param {object} parsed - Parsed JSON response
+ * @param {Array<{c: number}>} words - Original word data
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateLLMResponse(parsed, words) {
+    // 1. Check blocks array exists
+    if (!parsed.blocks || !Array.isArray(parsed.blocks)) {
+        console.error('ElevenLabs Translator: Validation failed - missing or invalid blocks array');
+        return { valid: false, error: 'Missing or invalid blocks array' };
+    }
+
+    // 2. Check blocks is not empty
+    if (parsed.blocks.length === 0) {
+        console.error('ElevenLabs Translator: Validation failed - empty blocks array');
+        return { valid: false, error: 'Empty blocks array' };
+    }
+
+    // 3. Build valid c values set
+    const validCValues = new Set(words.map(w => w.c));
+    const validCArray = Array.from(validCValues).sort((a, b) => a - b);
+
+    console.log('ElevenLabs Translator: Validating response');
+    console.log('Valid C values from input:', validCArray);
+    console.log('Total blocks to validate:', parsed.blocks.length);
+
+    // 4. Validate each block
+    for (let i = 0; i < parsed.blocks.length; i++) {
+        const block = parsed.blocks[i];
+
+        // Check required fields
+        if (typeof block.start_c !== 'number' || typeof block.end_c !== 'number') {
+            console.error(`Block ${i} INVALID - missing start_c or end_c:`, JSON.stringify(block));
+            return { valid: false, error: `Block ${i}: missing start_c or end_c` };
+        }
+
+        if (!block.translation || typeof block.translation !== 'string') {
+            console.error(`Block ${i} INVALID - missing or invalid translation:`, JSON.stringify(block));
+            return { valid: false, error: `Block ${i}: missing or invalid translation` };
+        }
+
+        // Check c values exist in word map
+        if (!validCValues.has(block.start_c)) {
+            console.error(`Block ${i} INVALID - start_c ${block.start_c} not in valid set:`, validCArray);
+            console.error('Block details:', JSON.stringify(block));
+            return { valid: false, error: `Block ${i}: start_c ${block.start_c} not in word map` };
+        }
+
+        if (!validCValues.has(block.end_c)) {
+            console.error(`Block ${i} INVALID - end_c ${block.end_c} not in valid set:`, validCArray);
+            console.error('Block details:', JSON.stringify(block));
+            return { valid: false, error: `Block ${i}: end_c ${block.end_c} not in word map` };
+        }
+
+        // Check start_c <= end_c
+        if (block.start_c > block.end_c) {
+            console.error(`Block ${i} INVALID - start_c > end_c:`, JSON.stringify(block));
+            return { valid: false, error: `Block ${i}: start_c > end_c` };
+        }
+    }
+
+    // 5. Check for overlapping blocks
+    const sortedBlocks = [...parsed.blocks].sort((a, b) => a.start_c - b.start_c);
+    for (let i = 1; i < sortedBlocks.length; i++) {
+        if (sortedBlocks[i].start_c <= sortedBlocks[i - 1].end_c) {
+            console.error(`Blocks ${i-1} and ${i} OVERLAP:`, JSON.stringify(sortedBlocks[i-1]), JSON.stringify(sortedBlocks[i]));
+            return { valid: false, error: `Blocks ${i-1} and ${i} overlap` };
+        }
+    }
+
+    console.log('ElevenLabs Translator: Validation passed - all blocks valid');
+    return { valid: true };
+}
+
+function validateBlockCoverage(blocks, words) {
+    if (blocks.length === 0) {
+        console.warn('ElevenLabs Translator: No blocks returned');
+        return;
+    }
+
+    var sortedBlocks = blocks.slice().sort(function(a, b) { return a.start_c - b.start_c; });
+    var sortedWords = words.slice().sort(function(a, b) { return a.c - b.c; });
+
+    var expectedNextC = sortedWords[0] ? sortedWords[0].c : 0;
+
+    for (var i = 0; i < sortedBlocks.length; i++) {
+        var block = sortedBlocks[i];
+
+        if (block.start_c !== expectedNextC) {
+            console.warn('ElevenLabs Translator: Gap detected - expected start_c ' + expectedNextC + ', got ' + block.start_c);
+        }
+
+        var endWordIndex = -1;
+        for (var j = 0; j < sortedWords.length; j++) {
+            if (sortedWords[j].c === block.end_c) {
+                endWordIndex = j;
+                break;
+            }
+        }
+        if (endWordIndex >= 0 && endWordIndex < sortedWords.length - 1) {
+            expectedNextC = sortedWords[endWordIndex + 1].c;
+        }
+    }
+
+    console.log('ElevenLabs Translator: Block coverage validation completed');
+}
+
+// =============================================================================
+// BLOCK REPAIR
+// Index problems are fixed here instead of re-requesting the whole paragraph:
+// out-of-range indices are clamped, overlaps trimmed and uncovered words turned
+// into fill-in blocks, and blocks over the length limit are split. Blocks whose
+// words changed (or that never had a translation) are translated with one small
+// request for just those spans.
+// =============================================================================
+
+/**
+ * Deterministically repairs model blocks in paragraph index space so that they
+ * are in order, in range, and cover every word exactly once.
+ * @param {Array<{s: number, e: number, t: string}>} rawBlocks - Schema-valid model blocks
+ * @param {number} wordCount - Words in the paragraph
+ * @returns {{ blocks: Array<{s: number, e: number, t: string}>, needsTranslation: number[], repairs: string[] }}
+ *   needsTranslation lists positions in blocks whose translation must be (re)requested
+ */
+function repairBlocks(rawBlocks, wordCount) {
+    const last = wordCount - 1;
+    const repairs = [];
+    const stale = new Set();  // Blocks whose translation no longer matches their words
+
+    // Clamp into the paragraph; swap reversed ranges
+    const clamped = rawBlocks.map((block, i) => {
+        let s = Math.min(block.s, last);
+        let e = Math.min(block.e, last);
+        if (s !== block.s || e !== block.e) {
+            repairs.push(`Block ${i}: clamped ${block.s}-${block.e} to ${s}-${e}`);
+        }
+        if (s > e) {
+            repairs.push(`Block ${i}: swapped reversed range ${s}-${e}`);
+            [s, e] = [e, s];
+        }
+        const repaired = { s: s, e: e, t: block.t };
+        if (s !== block.s || e !== block.e) stale.add(repaired);
+        return repaired;
+    });
+
+    // Resolve overlaps in favour of the earlier block
+    const ordered = clamped.slice().sort((a, b) => a.s - b.s || b.e - a.e);
+    const blocks = [];
+    let coveredTo = -1;
+    ordered.forEach(block => {
+        if (block.e <= coveredTo) {
+            repairs.push(`Dropped block ${block.s}-${block.e}: inside an earlier block`);
+            return;
+        }
+        if (block.s <= coveredTo) {
+            repairs.push(`Trimmed block ${block.s}-${block.e} to ${coveredTo + 1}-${block.e}: overlapped an earlier block`);
+            block.s = coveredTo + 1;
+            stale.add(block);
+        }
+        // Uncovered words before this block become a fill-in block
+        if (block.s > coveredTo + 1) {
+            const fill = { s: coveredTo + 1, e: block.s - 1, t: '' };
+            repairs.push(`Filled gap ${fill.s}-${fill.e}`);
+            blocks.push(fill);
+        }
+        blocks.push(block);
+        coveredTo = block.e;
+    });
+    if (coveredTo < last) {
+        repairs.push(`Filled gap ${coveredTo + 1}-${last}`);
+        blocks.push({ s: coveredTo + 1, e: last, t: '' });
+    }
+
+    const needsTranslation = [];
+    blocks.forEach((block, i) => {
+        if (stale.has(block) || !block.t.trim()) needsTranslation.push(i);
+    });
+
+    return { blocks: blocks, needsTranslation: needsTranslation, repairs: repairs };
+}
+
+/**
+ * Applies the rule pack's block_too_long rule (rules.js): every block over its
+ * maxWords is split at the suggested word, repeatedly until all pieces fit.
+ * Pieces have no translation yet. Nothing is split when the rule is off.
+ * @param {Array<{s: number, e: number, t: string}>} blocks - Repaired blocks in index space
+ * @param {object} wordData - Object with 'words' array containing {c, text} objects
+ * @param {object} rulePack - Rule pack for the source language
+ * @returns {{ blocks: Array<object>, pieces: Set<object>, splits: Array<{ original: string, translation: string, halves: string[] }> }}
+ *   pieces holds the new blocks that need a translation
+ */
+function splitOversizedBlocks(blocks, wordData, rulePack) {
+    const rule = rulePack.rules.find(r => r.id === 'block_too_long' && r.severity !== 'off');
+    const wordText = block => wordData.words.slice(block.s, block.e + 1).map(word => word.text).join(' ');
+    const pieces = new Set();
+    const splits = [];
+
+    if (!rule) return { blocks: blocks, pieces: pieces, splits: splits };
+
+    let result = blocks;
+    // Halves can still be too long; each round splits every oversized block once.
+    // Every split adds a block, so there can't be more rounds than words - the
+    // cap guards against a rule that keeps flagging pieces it can't shorten.
+    for (let round = 0; round < wordData.words.length; round++) {
+        // A single word can't be split, whatever the rule says about it
+        const violations = evaluateRule(rule, result.map(block => ({ original: wordText(block) })), rulePack.lists)
+            .filter(v => result[v.blockIndex].s < result[v.blockIndex].e);
+        if (violations.length === 0) break;
+
+        const next = [];
+        result.forEach((block, i) => {
+            const violation = violations.find(v => v.blockIndex === i);
+            if (!violation) {
+                next.push(block);
+                return;
+            }
+
+            const splitAt = Math.max(1, Math.min(violation.splitAt, block.e - block.s));
+            const left = { s: block.s, e: block.s + splitAt - 1, t: '' };
+            const right = { s: block.s + splitAt, e: block.e, t: '' };
+            pieces.delete(block);
+            pieces.add(left);
+            pieces.add(right);
+            splits.push({ original: wordText(block), translation: block.t, halves: [wordText(left), wordText(right)] });
+            next.push(left, right);
+        });
+        result = next;
+    }
+
+    return { blocks: result, pieces: pieces, splits: splits };
+}
+
+/**
+ * Translates word spans of one paragraph with a single small LLM call, giving
+ * the whole paragraph as context.
+ * @param {Array<{s: number, e: number}>} spans - Word index ranges to translate
+ * @param {object} wordData - Object with 'words' array containing {c, text} objects
+ * @param {object} context - { settings, provider, languagePair, priority, article }
+ * @returns {Promise<{ translations: string[], tokenUsage: object }>} One translation per span, in order
+ * @throws {Error} When the response is unusable or misses a span
+ */
+async function translateSpans(spans, wordData, context) {
+    const wordText = (s, e) => wordData.words.slice(s, e + 1).map(word => word.text).join(' ');
+    const userContent = JSON.stringify({
+        paragraph: wordText(0, wordData.words.length - 1),
+        spans: spans.map((span, i) => ({ i: i, text: wordText(span.s, span.e) }))
+    });
+
+    console.log(`ElevenLabs Translator: Requesting translations for ${spans.length} repaired span(s)`);
+    const llmResult = await callLLM(context.settings, context.provider, [
+        { role: 'system', content: buildSpanTranslationPrompt(context.languagePair.source, context.languagePair.target) },
+        { role: 'user', content: userContent }
+    ], {
+        temperature: getRetryConfig(1).temperature,
+        schema: { name: 'span_translations', schema: SPAN_TRANSLATION_SCHEMA },
+        priority: context.priority,
+        article: context.article
+    });
+
+    const response = parseJSONContent(llmResult.content);
+    const schemaErrors = validateSchema(response, SPAN_TRANSLATION_SCHEMA);
+    if (schemaErrors.length > 0) {
+        throw new Error('Span translation does not match schema: ' + schemaErrors[0]);
+    }
+
+    const translations = spans.map((span, i) => {
+        const entry = response.translations.find(item => item.i === i);
+        if (!entry || !entry.t.trim()) {
+            throw new Error(`Span translation missing for "${wordText(span.s, span.e)}"`);
+        }
+        return entry.t;
+    });
+
+    return { translations: translations, tokenUsage: llmResult.tokenUsage };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends one request to the active provider through the RequestScheduler and
+ * returns its text content and token usage.
+ * @param {object} settings - Resolved provider settings
+ * @param {object} provider - Provider adapter from providers.js
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {object} options
+ * @param {number} options.temperature - Sampling temperature for this attempt
+ * @param {{ name: string, schema: object }} [options.schema] - Response schema, for providers with structured outputs
+ * @param {'high'|'normal'|'low'} [options.priority='normal'] - Scheduler lane
+ * @param {{ url: string, title: string }} [options.article] - Article the request is for (cost ledger)
+ * @param {number} [options.contextTokens=0] - Estimated share of the prompt spent on cross-paragraph context
+ * @returns {Promise<{ content: string, tokenUsage: { promptTokens: number, completionTokens: number, cachedPromptTokens: number, contextTokens: number, provider: string, model: string } }>}
+ */
+async function callLLM(settings, provider, messages, options) {
+    var request = provider.buildRequest(settings, messages, { temperature: options.temperature, schema: options.schema });
+    var estimatedCost = estimateCallCost(settings, messages);
+    var reservation = null;
+    var response = await RequestScheduler.schedule(async () => {
+        reservation = await reserveBudget(estimatedCost);
+        try {
+            const res = await fetch(request.url, request.init);
+            // 429 = rate limited, 529 = provider overloaded; the scheduler waits and retries
+            if (res.status === 429 || res.status === 529) {
+                throw createRateLimitError(res.status, res.headers);
+            }
+            RequestScheduler.observeHeaders(res.headers);
+            return res;
+        } catch (error) {
+            releaseBudget(reservation);
+            throw error;
+        }
+    }, options.priority);
+
+    var data;
+    try {
+        if (!response.ok) {
+            var errorData = await response.json().catch(() => null);
+            const errorMsg = provider.extractError(errorData) || `${provider.label} API request failed`;
+
+            // Don't retry on auth errors (401)
+            if (response.status === 401) {
+                throw new Error('Invalid API key: ' + errorMsg);
+            }
+
+            throw new Error(`API error (${response.status}): ${errorMsg}`);
+        }
+
+        data = await response.json();
+    } catch (error) {
+        releaseBudget(reservation);
+        throw error;
+    }
+    console.log('ElevenLabs Translator: API response received');
+
+    // Mapped to promptTokens/completionTokens by the adapter; priced by the model the
+    // provider reports having used (a dated snapshot) rather than the one requested
+    // contextTokens is already part of promptTokens; it is reported separately
+    var tokenUsage = Object.assign(provider.extractUsage(data), {
+        contextTokens: options.contextTokens || 0,
+        provider: settings.provider,
+        model: data.model || settings.model
+    });
+    // Released once the actual cost is in the ledger
+    recordLLMUsage(tokenUsage, options.article).then(() => releaseBudget(reservation));
+
+    return {
+        content: provider.extractContent(data),
+        tokenUsage: tokenUsage
+    };
+}
+
+/**
+ * Parses the model's JSON content, tolerating ``` code fences.
+ * @param {string} content - Raw text content from the model
+ * @returns {object} Parsed JSON
+ */
+function parseJSONContent(content) {
+    var jsonStr = content.trim();
+    if (jsonStr.indexOf('```json') === 0) {
+        jsonStr = jsonStr.replace(/^```json/, '').replace(/```$/, '');
+    } else if (jsonStr.indexOf('```') === 0) {
+        jsonStr = jsonStr.replace(/^```/, '').replace(/```$/, '');
+    }
+
+    try {
+        return JSON.parse(jsonStr);
+    } catch (parseError) {
+        throw new Error('Failed to parse JSON response: ' + parseError.message);
+    }
+}
+
+/**
+ * Returns true for errors that no retry or fallback can fix.
+ * @param {Error} error
+ * @returns {boolean}
  */
-function validateLLMResponse(parsed, words) {
-    // 1. Check blocks array exists
-    if (!parsed.blocks || !Array.isArray(parsed.blocks)) {
-        console.error('ElevenLabs Translator: Validation failed - missing or invalid blocks array');
-        return { valid: false, error: 'Missing or invalid blocks array' };
-    }
+function isNonRetryableError(error) {
+    return error.message.includes('Invalid API key') ||
+        error.message.includes('API Key not found') ||
+        error.message.startsWith('Budget exceeded');
+}
 
-    // 2. Check blocks is not empty
-    if (parsed.blocks.length === 0) {
-        console.error('ElevenLabs Translator: Validation failed - empty blocks array');
-        return { valid: false, error: 'Empty blocks array' };
+/**
+ * Converts one paragraph's raw model blocks to c positions after repairing them
+ * and splitting oversized ones (see repairBlocks, splitOversizedBlocks), then runs
+ * structural, coverage and semantic validation.
+ * @param {Array<object>} rawBlocks - Blocks as returned by the model ({s, e, t})
+ * @param {object} wordData - Object with 'words' array containing {c, text} objects
+ * @param {object} context - { settings, provider, languagePair, rulePack, glossary, fewShotIds, priority, article } for repair requests
+ * @returns {Promise<{ parsed: { blocks: Array<object> }, semanticValidation: object, repairUsage: object|null, repairs: string[] }>}
+ *   repairUsage is the token usage of the span translation request, if one was needed
+ * @throws {Error} 'Schema: ...' when the blocks don't match BLOCK_RESPONSE_SCHEMA,
+ *   'Structural: ...' when they fail structural validation or can't be repaired
+ */
+async function processParagraphBlocks(rawBlocks, wordData, context) {
+    // Paragraph-scoped indices map back to real c values
+    const indexToCMap = {};
+    wordData.words.forEach((word, index) => {
+        indexToCMap[index] = word.c;
+    });
+
+    // Shape check against the response schema (any provider, structured outputs or not)
+    const schemaErrors = validateSchema({ blocks: rawBlocks }, BLOCK_RESPONSE_SCHEMA);
+    if (schemaErrors.length > 0) {
+        console.error('ElevenLabs Translator: Response does not match schema:', schemaErrors);
+        throw new Error('Schema: ' + schemaErrors[0]);
     }
 
-    // 3. Build valid c values set
-    const validCValues = new Set(words.map(w => w.c));
-    const validCArray = Array.from(validCValues).sort((a, b) => a - b);
+    // Fix indices locally; only the affected spans go back to the model
+    const repair = repairBlocks(rawBlocks, wordData.words.length);
+    if (repair.repairs.length > 0) {
+        console.warn('ElevenLabs Translator: Repaired blocks:', repair.repairs);
+    }
 
-    console.log('ElevenLabs Translator: Validating response');
-    console.log('Valid C values from input:', validCArray);
-    console.log('Total blocks to validate:', parsed.blocks.length);
+    // Length rule: oversized blocks are split here, and only the new halves translated
+    // (the content script logs the splits, see Logger.trainingSplits)
+    const split = splitOversizedBlocks(repair.blocks, wordData, context.rulePack);
 
-    // 4. Validate each block
-    for (let i = 0; i < parsed.blocks.length; i++) {
-        const block = parsed.blocks[i];
+    const pending = new Set(repair.needsTranslation.map(i => repair.blocks[i]));
+    split.pieces.forEach(piece => pending.add(piece));
+    const spans = split.blocks.filter(block => pending.has(block));
 
-        // Check required fields
-        if (typeof block.start_c !== 'number' || typeof block.end_c !== 'number') {
-            console.error(`Block ${i} INVALID - missing start_c or end_c:`, JSON.stringify(block));
-            return { valid: false, error: `Block ${i}: missing start_c or end_c` };
+    let repairUsage = null;
+    if (spans.length > 0) {
+        try {
+            const spanResult = await translateSpans(spans, wordData, context);
+            spans.forEach((span, i) => { span.t = spanResult.translations[i]; });
+            repairUsage = spanResult.tokenUsage;
+        } catch (error) {
+            if (isNonRetryableError(error)) throw error;
+            throw new Error('Structural: block repair failed - ' + error.message);
         }
+    }
 
-        if (!block.translation || typeof block.translation !== 'string') {
-            console.error(`Block ${i} INVALID - missing or invalid translation:`, JSON.stringify(block));
-            return { valid: false, error: `Block ${i}: missing or invalid translation` };
-        }
+    // Convert the schema format (s, e, t) to the stored format (start_c, end_c, original, translation)
+    var parsed = {
+        blocks: split.blocks.map(block => {
+            // Map indices back to real c values
+            const start_c = indexToCMap[block.s] !== undefined ? indexToCMap[block.s] : block.s;
+            const end_c = indexToCMap[block.e] !== undefined ? indexToCMap[block.e] : block.e;
+
+            // Reconstruct original text from words
+            const wordsInBlock = [];
+            for (let idx = block.s; idx <= block.e; idx++) {
+                if (wordData.words[idx]) {
+                    wordsInBlock.push(wordData.words[idx].text);
+                }
+            }
 
-        // Check c values exist in word map
-        if (!validCValues.has(block.start_c)) {
-            console.error(`Block ${i} INVALID - start_c ${block.start_c} not in valid set:`, validCArray);
-            console.error('Block details:', JSON.stringify(block));
-            return { valid: false, error: `Block ${i}: start_c ${block.start_c} not in word map` };
-        }
+            return {
+                start_c: start_c,
+                end_c: end_c,
+                original: wordsInBlock.join(' '),
+                translation: block.t
+            };
+        })
+    };
 
-        if (!validCValues.has(block.end_c)) {
-            console.error(`Block ${i} INVALID - end_c ${block.end_c} not in valid set:`, validCArray);
-            console.error('Block details:', JSON.stringify(block));
-            return { valid: false, error: `Block ${i}: end_c ${block.end_c} not in word map` };
-        }
+    console.log('ElevenLabs Translator: Converted blocks:', parsed.blocks?.slice(0, 3));
 
-        // Check start_c <= end_c
-        if (block.start_c > block.end_c) {
-            console.error(`Block ${i} INVALID - start_c > end_c:`, JSON.stringify(block));
-            return { valid: false, error: `Block ${i}: start_c > end_c` };
-        }
+    // Structural validation (existing)
+    const structuralValidation = validateLLMResponse(parsed, wordData.words);
+    if (!structuralValidation.valid) {
+        throw new Error('Structural: ' + structuralValidation.error);
     }
 
-    // 5. Check for overlapping blocks
-    const sortedBlocks = [...parsed.blocks].sort((a, b) => a.start_c - b.start_c);
-    for (let i = 1; i < sortedBlocks.length; i++) {
-        if (sortedBlocks[i].start_c <= sortedBlocks[i - 1].end_c) {
-            console.error(`Blocks ${i-1} and ${i} OVERLAP:`, JSON.stringify(sortedBlocks[i-1]), JSON.stringify(sortedBlocks[i]));
-            return { valid: false, error: `Blocks ${i-1} and ${i} overlap` };
-        }
+    // Coverage validation (existing)
+    validateBlockCoverage(parsed.blocks, wordData.words);
+
+    // Semantic validation (NEW) - check pedagogical rules
+    const semanticValidation = validateSemantics(parsed.blocks, wordData.words, context.rulePack, context.glossary);
+
+    if (semanticValidation.violations.length > 0) {
+        console.log('ElevenLabs Translator: Semantic violations found:');
+        semanticValidation.violations.forEach(v => {
+            console.log(`  [${v.severity}] ${v.type}: ${v.message}`);
+            if (v.suggestion) {
+                console.log(`    Suggestion: ${v.suggestion}`);
+            }
+        });
     }
 
-    console.log('ElevenLabs Translator: Validation passed - all blocks valid');
-    return { valid: true };
+    // Splits go back to the content script as training data
+    if (split.splits.length > 0) parsed.blockSplits = split.splits;
+
+    return { parsed: parsed, semanticValidation: semanticValidation, repairUsage: repairUsage, repairs: repair.repairs };
 }
 
-function validateBlockCoverage(blocks, words) {
-    if (blocks.length === 0) {
-        console.warn('ElevenLabs Translator: No blocks returned');
-        return;
+// =============================================================================
+// BOUNDARY EDITS
+// Segmentations corrected by hand on the page (merged or split blocks). The
+// content script sends the paragraph's new blocks; those without a translation
+// (the ones whose words changed) are translated with one span request, the
+// others are kept as they are.
+// =============================================================================
+
+/**
+ * Completes a hand-edited segmentation of one paragraph.
+ * @param {Array<{c: number, text: string}>} words - The paragraph's words
+ * @param {Array<object>} blocks - Blocks in order ({start_c, end_c, ...}); translation null for changed ones
+ * @param {{url: string, title: string}} article - The page the paragraph belongs to
+ * @returns {Promise<object>} responseData with translated blocks, semanticViolations and tokenUsage
+ * @throws {Error} When the blocks don't cover the paragraph's words in order
+ */
+async function resegmentParagraph(words, blocks, article) {
+    const settings = await getProviderSettings();
+    const provider = getProvider(settings.provider);
+    const languagePair = await getLanguagePair();
+
+    if (provider.requiresApiKey && !settings.apiKey) {
+        throw new Error('API Key not found. Please set it in the extension popup.');
     }
 
-    var sortedBlocks = blocks.slice().sort(function(a, b) { return a.start_c - b.start_c; });
-    var sortedWords = words.slice().sort(function(a, b) { return a.c - b.c; });
+    // Index ranges, which must cover every word exactly once
+    const ranges = blocks.map(block => ({
+        s: words.findIndex(word => word.c === block.start_c),
+        e: words.findIndex(word => word.c === block.end_c)
+    }));
+    const covered = ranges.every((range, i) =>
+        range.s === (i === 0 ? 0 : ranges[i - 1].e + 1) && range.e >= range.s);
+    if (!covered || ranges[ranges.length - 1].e !== words.length - 1) {
+        throw new Error('Edited blocks do not cover the paragraph in order');
+    }
 
-    var expectedNextC = sortedWords[0] ? sortedWords[0].c : 0;
+    const wordData = { words: words };
+    const spans = ranges.filter((range, i) => !blocks[i].translation);
+    let tokenUsage = { promptTokens: 0, completionTokens: 0 };
+    if (spans.length > 0) {
+        const result = await translateSpans(spans, wordData, {
+            settings, provider, languagePair, priority: 'high', article
+        });
+        spans.forEach((span, i) => { span.t = result.translations[i]; });
+        tokenUsage = result.tokenUsage;
+    }
 
-    for (var i = 0; i < sortedBlocks.length; i++) {
-        var block = sortedBlocks[i];
+    const resegmented = blocks.map((block, i) => {
+        const range = ranges[i];
+        const original = words.slice(range.s, range.e + 1).map(word => word.text).join(' ');
+        // Changed blocks start over; untouched ones keep their (possibly user-edited) translation
+        return block.translation
+            ? { ...block, original: original }
+            : { start_c: block.start_c, end_c: block.end_c, original: original, translation: range.t };
+    });
 
-        if (block.start_c !== expectedNextC) {
-            console.warn('ElevenLabs Translator: Gap detected - expected start_c ' + expectedNextC + ', got ' + block.start_c);
-        }
+    const rulePack = await getRulePack(languagePair.source);
+    const text = words.map(word => word.text).join(' ');
+    const glossary = buildGlossaryMessages(await getGlossaryEntries(languagePair), text);
+    const semanticValidation = validateSemantics(resegmented, words, rulePack, glossary.entries);
+
+    console.log(`ElevenLabs Translator: Re-segmented paragraph by hand: ${blocks.length} blocks, ${spans.length} translated`);
+    recordTrainingEdit(words, training => {
+        const finalBlocks = toTrainingBlocks(resegmented, words);
+        training.edits.push({
+            type: 'boundaries',
+            from: training.finalBlocks.map(block => [block.s, block.e]),
+            to: finalBlocks.map(block => [block.s, block.e]),
+            timestamp: Date.now()
+        });
+        training.finalBlocks = finalBlocks;
+        training.finalViolations = semanticValidation.violations;
+    });
+    return {
+        blocks: resegmented,
+        segmentationEdited: true,
+        semanticViolations: semanticValidation.violations,
+        tokenUsage: tokenUsage
+    };
+}
 
-        var endWordIndex = -1;
-        for (var j = 0; j < sortedWords.length; j++) {
-            if (sortedWords[j].c === block.end_c) {
-                endWordIndex = j;
-                break;
-            }
+// =============================================================================
+// CROSS-PARAGRAPH CONTEXT
+// The content script sends the paragraphs preceding each request (source text
+// and, once translated, the chosen translation). They go to the model as an
+// extra system message so pronouns, ellipses and recurring terms are translated
+// consistently; the model is told not to segment them.
+// =============================================================================
+
+/**
+ * Picks the context paragraphs for one request: deduplicated, without the
+ * paragraphs being partitioned, at most CONFIG.context.maxParagraphs, and the
+ * oldest dropped once they pass CONFIG.context.maxTokens (the closest one is
+ * cut to its end instead if it is too long on its own).
+ * @param {Array<{ id: *, text: string, translation: string|null }>} context - Previous paragraphs from the content script
+ * @param {Set<*>} excludeIds - Paragraphs in the request itself
+ * @returns {Array<{ id: *, text: string, translation: string|null }>} Oldest first
+ */
+function selectContextParagraphs(context, excludeIds) {
+    const byId = new Map();
+    (context || []).forEach(item => {
+        if (!item || typeof item.text !== 'string' || !item.text.trim()) return;
+        if (excludeIds.has(item.id) || byId.has(item.id)) return;
+        byId.set(item.id, item);
+    });
+
+    const ordered = Array.from(byId.values())
+        .sort((a, b) => (a.id || 0) - (b.id || 0))
+        .slice(-CONFIG.context.maxParagraphs);
+
+    const selected = [];
+    let tokens = 0;
+    for (let i = ordered.length - 1; i >= 0; i--) {
+        tokens += estimateTokens(ordered[i].text + (ordered[i].translation || ''));
+        if (tokens <= CONFIG.context.maxTokens) {
+            selected.unshift(ordered[i]);
+            continue;
         }
-        if (endWordIndex >= 0 && endWordIndex < sortedWords.length - 1) {
-            expectedNextC = sortedWords[endWordIndex + 1].c;
+        // A closest paragraph too long on its own still contributes its end
+        if (selected.length === 0) {
+            const maxChars = CONFIG.context.maxTokens * CONFIG.batching.charsPerToken;
+            selected.push({ id: ordered[i].id, text: '…' + ordered[i].text.slice(-maxChars), translation: null });
         }
+        break;
     }
-
-    console.log('ElevenLabs Translator: Block coverage validation completed');
+    return selected;
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Builds the context message for a request.
+ * @param {Array<object>} context - Previous paragraphs (see selectContextParagraphs)
+ * @param {Set<*>} excludeIds - Paragraphs in the request itself
+ * @returns {{ messages: Array<{role: string, content: string}>, contextTokens: number }}
+ *   No messages when there is no usable context
+ */
+function buildContextMessages(context, excludeIds) {
+    const paragraphs = selectContextParagraphs(context, excludeIds);
+    if (paragraphs.length === 0) return { messages: [], contextTokens: 0 };
+
+    const content = buildContextPrompt(paragraphs);
+    return {
+        messages: [{ role: 'system', content: content }],
+        contextTokens: estimateTokens(content)
+    };
 }
 
 /**
  * Handles position-based text partitioning with the LLM.
  * Uses semantic validation and temperature escalation on retries.
- * @param {object} wordData - Object with 'words' array containing {c, text} objects
+ * @param {object} wordData - Object with 'words' array containing {c, text} objects, and
+ *   optionally 'context' with the previous paragraphs (see selectContextParagraphs)
+ * @param {'high'|'normal'|'low'} [priority='normal'] - Scheduler lane
+ * @param {{ url: string, title: string }} [article] - Article the request is for (cost ledger)
  * @returns {Promise<object>} Parsed LLM response with blocks array
  */
-async function handlePositionBasedPartitioning(wordData) {
-    var result = await chrome.storage.sync.get(['openaiApiKey']);
-    var openaiApiKey = result.openaiApiKey;
+async function handlePositionBasedPartitioning(wordData, priority, article) {
+    var settings = await getProviderSettings();
+    var provider = getProvider(settings.provider);
+    var languagePair = await getLanguagePair();
+    var systemPrompt = buildSystemPrompt(languagePair.source, languagePair.target);
 
-    if (!openaiApiKey) {
+    if (provider.requiresApiKey && !settings.apiKey) {
         throw new Error('API Key not found. Please set it in the extension popup.');
     }
 
@@ -250,151 +2415,77 @@ async function handlePositionBasedPartitioning(wordData) {
     });
 
     var userContent = JSON.stringify(simplifiedWords);
+    var context = buildContextMessages(wordData.context, new Set());
+    var glossary = buildGlossaryMessages(
+        await getGlossaryEntries(languagePair),
+        wordData.words.map(word => word.text).join(' ')
+    );
+    var fewShot = buildFewShotTurns(
+        await getFewShotExamples(languagePair),
+        wordData.words.map(word => word.text).join(' '),
+        false
+    );
 
     // Debug logging for LLM input
-    console.log('ElevenLabs Translator: Sending to LLM');
-    console.log('Word count:', wordData.words.length);
+    console.log(`ElevenLabs Translator: Sending to LLM (${provider.label}, ${settings.model}, ${languagePair.source}->${languagePair.target})`);
+    console.log('Word count:', wordData.words.length, '| context tokens:', context.contextTokens, '| glossary entries:', glossary.entries.length, '| few-shot examples:', fewShot.ids.length);
     console.log('Index mapping sample:', Object.entries(indexToCMap).slice(0, 5).map(([i, c]) => `${i}->${c}`).join(', '));
     console.log('Words preview:', simplifiedWords.slice(0, 5).map(w => `${w.i}:"${w.w}"`).join(', '));
 
+    const rulePack = await getRulePack(languagePair.source);
+    const repairContext = { settings, provider, languagePair, rulePack, glossary: glossary.entries, fewShotIds: fewShot.ids, priority, article };
     const maxRetries = getMaxRetries();
     let lastError = null;
     let bestResult = null;  // Store best result in case all retries have semantic issues
+    let bestTraining = null;  // The model's blocks and processing of bestResult, for the corpus
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         // Get retry configuration with escalating temperature
         const retryConfig = getRetryConfig(attempt);
 
-        // Build request body with dynamic temperature from retry config
-        var requestBody = {
-            model: CONFIG.api.model,
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                { role: 'user', content: userContent }
-            ],
-            temperature: retryConfig.temperature,
-            response_format: CONFIG.api.responseFormat
-        };
-
         try {
             console.log(`ElevenLabs Translator: API attempt ${attempt}/${maxRetries} (temperature: ${retryConfig.temperature})`);
 
-            var response = await fetch(CONFIG.api.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': 'Bearer ' + openaiApiKey
-                },
-                body: JSON.stringify(requestBody)
+            // Build provider-specific request with dynamic temperature from retry config
+            const llmResult = await callLLM(settings, provider, [
+                { role: 'system', content: systemPrompt },
+                ...context.messages,
+                ...glossary.messages,
+                ...fewShot.messages,
+                { role: 'user', content: userContent }
+            ], {
+                temperature: retryConfig.temperature,
+                schema: { name: 'meaning_blocks', schema: BLOCK_RESPONSE_SCHEMA },
+                priority: priority,
+                article: article,
+                contextTokens: context.contextTokens
             });
 
-            if (!response.ok) {
-                var errorData = await response.json();
-                const errorMsg = errorData.error ? errorData.error.message : 'OpenAI API request failed';
-
-                // Don't retry on auth errors (401)
-                if (response.status === 401) {
-                    throw new Error('Invalid API key: ' + errorMsg);
-                }
-
-                throw new Error(`API error (${response.status}): ${errorMsg}`);
-            }
-
-            var data = await response.json();
-            console.log('ElevenLabs Translator: API response received');
-            var content = data.choices[0].message.content;
-
-            // Extract token usage for cost tracking
-            const tokenUsage = data.usage || { prompt_tokens: 0, completion_tokens: 0 };
-
-            var jsonStr = content.trim();
-            if (jsonStr.indexOf('```json') === 0) {
-                jsonStr = jsonStr.replace(/^```json/, '').replace(/```$/, '');
-            } else if (jsonStr.indexOf('```') === 0) {
-                jsonStr = jsonStr.replace(/^```/, '').replace(/```$/, '');
-            }
-
-            var parsed;
-            try {
-                parsed = JSON.parse(jsonStr);
-            } catch (parseError) {
-                throw new Error('Failed to parse JSON response: ' + parseError.message);
-            }
+            var rawResponse = parseJSONContent(llmResult.content);
 
             // Debug logging for raw LLM response
-            console.log('ElevenLabs Translator: Raw LLM response:', JSON.stringify(parsed, null, 2));
-
-            // Convert simplified format (s, e, t) back to original format (start_c, end_c, original, translation)
-            if (parsed.blocks && Array.isArray(parsed.blocks)) {
-                parsed.blocks = parsed.blocks.map(block => {
-                    // Handle both old format (start_c, end_c) and new format (s, e)
-                    const startIndex = block.s !== undefined ? block.s : block.start_c;
-                    const endIndex = block.e !== undefined ? block.e : block.end_c;
-
-                    // Map indices back to real c values
-                    const start_c = indexToCMap[startIndex] !== undefined ? indexToCMap[startIndex] : startIndex;
-                    const end_c = indexToCMap[endIndex] !== undefined ? indexToCMap[endIndex] : endIndex;
-
-                    // Reconstruct original text from words if not provided
-                    let original = block.original || '';
-                    if (!original && startIndex !== undefined && endIndex !== undefined) {
-                        const wordsInBlock = [];
-                        for (let idx = startIndex; idx <= endIndex; idx++) {
-                            if (wordData.words[idx]) {
-                                wordsInBlock.push(wordData.words[idx].text);
-                            }
-                        }
-                        original = wordsInBlock.join(' ');
-                    }
-
-                    return {
-                        start_c: start_c,
-                        end_c: end_c,
-                        original: original,
-                        translation: block.t || block.translation || ''
-                    };
-                });
-            }
+            console.log('ElevenLabs Translator: Raw LLM response:', JSON.stringify(rawResponse, null, 2));
 
-            console.log('ElevenLabs Translator: Converted blocks:', parsed.blocks?.slice(0, 3));
+            const processed = await processParagraphBlocks(rawResponse.blocks, wordData, repairContext);
+            var parsed = processed.parsed;
+            const semanticValidation = processed.semanticValidation;
 
-            // Structural validation (existing)
-            const structuralValidation = validateLLMResponse(parsed, wordData.words);
-            if (!structuralValidation.valid) {
-                throw new Error('Structural: ' + structuralValidation.error);
-            }
-
-            // Coverage validation (existing)
-            validateBlockCoverage(parsed.blocks, wordData.words);
-
-            // Include token usage in the response
-            parsed.tokenUsage = {
-                promptTokens: tokenUsage.prompt_tokens,
-                completionTokens: tokenUsage.completion_tokens
-            };
-
-            // Semantic validation (NEW) - check pedagogical rules
-            const semanticValidation = validateSemantics(parsed.blocks, wordData.words);
-
-            if (semanticValidation.violations.length > 0) {
-                console.log('ElevenLabs Translator: Semantic violations found:');
-                semanticValidation.violations.forEach(v => {
-                    console.log(`  [${v.severity}] ${v.type}: ${v.message}`);
-                    if (v.suggestion) {
-                        console.log(`    Suggestion: ${v.suggestion}`);
-                    }
-                });
-            }
+            // Include token usage in the response (plus any repair request)
+            parsed.tokenUsage = processed.repairUsage
+                ? addTokenUsage(llmResult.tokenUsage, processed.repairUsage)
+                : llmResult.tokenUsage;
 
             // Store as best result if structurally valid
             if (!bestResult || semanticValidation.violations.length < (bestResult.semanticViolations || []).length) {
                 bestResult = parsed;
                 bestResult.semanticViolations = semanticValidation.violations;
+                bestTraining = { rawBlocks: rawResponse.blocks, processed: processed };
             }
 
             // If semantic validation passes or doesn't require retry, return
             if (!semanticValidation.shouldRetry) {
                 console.log('ElevenLabs Translator: Semantic validation passed');
+                recordTrainingExample(wordData.words, rawResponse.blocks, processed, repairContext);
                 return parsed;
             }
 
@@ -411,8 +2502,7 @@ async function handlePositionBasedPartitioning(wordData) {
             console.warn(`ElevenLabs Translator: [RETRY ${attempt}/${maxRetries}] LLM call failed:`, error.message);
 
             // Don't retry on non-retryable errors
-            if (error.message.includes('Invalid API key') ||
-                error.message.includes('API Key not found')) {
+            if (isNonRetryableError(error)) {
                 console.error(`ElevenLabs Translator: [RETRY ${attempt}/${maxRetries}] Non-retryable error, aborting`);
                 throw error;
             }
@@ -432,8 +2522,457 @@ async function handlePositionBasedPartitioning(wordData) {
     // If we have a structurally valid result but with semantic issues, return it with warning
     if (bestResult) {
         console.warn('ElevenLabs Translator: Returning best result despite semantic violations');
+        recordTrainingExample(wordData.words, bestTraining.rawBlocks, bestTraining.processed, repairContext);
         return bestResult;
     }
 
     throw new Error(`Failed after ${maxRetries} attempts: ${lastError.message}`);
 }
+
+// =============================================================================
+// MULTI-PARAGRAPH BATCHING
+// =============================================================================
+
+/**
+ * Estimates the token count of a string from its length.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / CONFIG.batching.charsPerToken);
+}
+
+/**
+ * Greedily packs paragraphs into batches whose user content stays within the token budget.
+ * A paragraph larger than the budget gets a batch of its own.
+ * @param {Array<{ id: *, words: Array<{c: number, text: string}> }>} paragraphs
+ * @returns {Array<Array<object>>} Batches of paragraphs, in order
+ */
+function packParagraphBatches(paragraphs) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    paragraphs.forEach(paragraph => {
+        const simplified = paragraph.words.map((word, index) => ({ i: index, w: word.text }));
+        const tokens = estimateTokens(JSON.stringify(simplified));
+
+        if (current.length > 0 && currentTokens + tokens > CONFIG.batching.maxInputTokens) {
+            batches.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+
+        current.push(paragraph);
+        currentTokens += tokens;
+    });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+/**
+ * Splits a batch's token usage across its paragraphs by share of words.
+ * @param {object} tokenUsage - Usage of the whole batch call (see callLLM)
+ * @param {Array<object>} batch - Paragraphs in the batch
+ * @returns {Array<object>} Usage per paragraph, with the batch's provider and model
+ */
+function apportionTokenUsage(tokenUsage, batch) {
+    const totalWords = batch.reduce((sum, p) => sum + p.words.length, 0) || 1;
+    return batch.map(paragraph => {
+        const share = paragraph.words.length / totalWords;
+        return {
+            promptTokens: Math.round(tokenUsage.promptTokens * share),
+            completionTokens: Math.round(tokenUsage.completionTokens * share),
+            cachedPromptTokens: Math.round((tokenUsage.cachedPromptTokens || 0) * share),
+            contextTokens: Math.round((tokenUsage.contextTokens || 0) * share),
+            provider: tokenUsage.provider,
+            model: tokenUsage.model,
+            batchSize: batch.length
+        };
+    });
+}
+
+/**
+ * Adds the usage of a fallback call to a paragraph's apportioned batch usage.
+ */
+function addTokenUsage(base, extra) {
+    return Object.assign({}, base, {
+        promptTokens: (base.promptTokens || 0) + (extra.promptTokens || 0),
+        completionTokens: (base.completionTokens || 0) + (extra.completionTokens || 0),
+        cachedPromptTokens: (base.cachedPromptTokens || 0) + (extra.cachedPromptTokens || 0),
+        contextTokens: (base.contextTokens || 0) + (extra.contextTokens || 0)
+    });
+}
+
+/**
+ * Partitions one packed batch with a single LLM call. Paragraphs missing from
+ * the response, failing structural validation or needing a semantic retry fall
+ * back to handlePositionBasedPartitioning() individually.
+ * @param {Array<{ id: *, words: Array<{c: number, text: string}>, context?: Array<object> }>} batch
+ * @param {'high'|'normal'|'low'} [priority='normal'] - Scheduler lane
+ * @param {{ url: string, title: string }} [article] - Article the request is for (cost ledger)
+ * @returns {Promise<Array<{ id: *, success: boolean, data?: object, error?: string }>>}
+ */
+async function partitionBatch(batch, priority, article) {
+    if (batch.length === 1) {
+        return [await partitionSingle(batch[0], priority, article)];
+    }
+
+    var settings = await getProviderSettings();
+    var provider = getProvider(settings.provider);
+    var languagePair = await getLanguagePair();
+    var rulePack = await getRulePack(languagePair.source);
+    var glossary = buildGlossaryMessages(
+        await getGlossaryEntries(languagePair),
+        batch.map(paragraph => paragraph.words.map(word => word.text).join(' ')).join('\n')
+    );
+    var fewShot = buildFewShotTurns(
+        await getFewShotExamples(languagePair),
+        batch.map(paragraph => paragraph.words.map(word => word.text).join(' ')).join('\n'),
+        true
+    );
+    var repairContext = { settings, provider, languagePair, rulePack, glossary: glossary.entries, fewShotIds: fewShot.ids, priority, article };
+
+    if (provider.requiresApiKey && !settings.apiKey) {
+        throw new Error('API Key not found. Please set it in the extension popup.');
+    }
+
+    // Paragraph-scoped indices: every paragraph's words start at i=0
+    var userContent = JSON.stringify({
+        paragraphs: batch.map((paragraph, p) => ({
+            p: p,
+            words: paragraph.words.map((word, index) => ({ i: index, w: word.text }))
+        }))
+    });
+
+    // Context of the whole batch: what precedes any of its paragraphs, minus the batch itself
+    var context = buildContextMessages(
+        batch.flatMap(paragraph => paragraph.context || []),
+        new Set(batch.map(paragraph => paragraph.id))
+    );
+
+    console.log(`ElevenLabs Translator: Sending batch of ${batch.length} paragraphs to LLM (${provider.label}, ${settings.model}, ${context.contextTokens} context tokens)`);
+
+    var batchParagraphs;
+    var usageShares;
+    try {
+        const llmResult = await callLLM(settings, provider, [
+            { role: 'system', content: buildBatchSystemPrompt(languagePair.source, languagePair.target) },
+            ...context.messages,
+            ...glossary.messages,
+            ...fewShot.messages,
+            { role: 'user', content: userContent }
+        ], {
+            temperature: getRetryConfig(1).temperature,
+            schema: { name: 'meaning_blocks_batch', schema: BATCH_RESPONSE_SCHEMA },
+            priority: priority,
+            article: article,
+            contextTokens: context.contextTokens
+        });
+
+        // Only the envelope here - each paragraph's blocks are checked on their own,
+        // so one bad paragraph doesn't send the whole batch back
+        const rawResponse = parseJSONContent(llmResult.content);
+        if (!Array.isArray(rawResponse.paragraphs)) {
+            throw new Error('Missing or invalid paragraphs array');
+        }
+        batchParagraphs = rawResponse.paragraphs;
+        usageShares = apportionTokenUsage(llmResult.tokenUsage, batch);
+    } catch (error) {
+        if (isNonRetryableError(error)) throw error;
+        console.warn('ElevenLabs Translator: Batch call failed, falling back to single paragraphs:', error.message);
+        return Promise.all(batch.map(paragraph => partitionSingle(paragraph, priority, article)));
+    }
+
+    const results = [];
+    for (let p = 0; p < batch.length; p++) {
+        const paragraph = batch[p];
+        const entry = batchParagraphs.find(item => item && item.p === p);
+
+        try {
+            if (!entry) {
+                throw new Error(`Paragraph ${p} missing from batch response`);
+            }
+
+            const processed = await processParagraphBlocks(entry.blocks, paragraph, repairContext);
+            if (processed.repairUsage) {
+                usageShares[p] = addTokenUsage(usageShares[p], processed.repairUsage);
+            }
+            if (processed.semanticValidation.shouldRetry) {
+                throw new Error('Semantic: ' + processed.semanticValidation.violations[0].message);
+            }
+
+            const parsed = processed.parsed;
+            parsed.tokenUsage = usageShares[p];
+            parsed.semanticViolations = processed.semanticValidation.violations;
+            recordTrainingExample(paragraph.words, entry.blocks, processed, repairContext);
+            results.push({ id: paragraph.id, success: true, data: parsed });
+        } catch (error) {
+            console.warn(`ElevenLabs Translator: Batch paragraph ${p} needs a single-paragraph retry:`, error.message);
+            const single = await partitionSingle(paragraph, priority, article);
+            if (single.success) {
+                // The batch call was paid for too
+                single.data.tokenUsage = addTokenUsage(usageShares[p], single.data.tokenUsage);
+            }
+            results.push(single);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Runs the single-paragraph pipeline and wraps the outcome as a batch result.
+ * Non-retryable errors (auth) propagate so the whole request fails fast.
+ */
+async function partitionSingle(paragraph, priority, article) {
+    try {
+        const data = await handlePositionBasedPartitioning({ words: paragraph.words, context: paragraph.context }, priority, article);
+        return { id: paragraph.id, success: true, data: data };
+    } catch (error) {
+        if (isNonRetryableError(error)) throw error;
+        return { id: paragraph.id, success: false, error: error.message };
+    }
+}
+
+/**
+ * Handles a PARTITION_BATCH request: packs paragraphs into as few LLM calls as the
+ * token budget allows and returns one result per paragraph. Batches run
+ * concurrently; the RequestScheduler bounds and paces the actual calls.
+ * @param {Array<{ id: *, words: Array<{c: number, text: string}>, context?: Array<object> }>} paragraphs - context: previous paragraphs (see selectContextParagraphs)
+ * @param {'high'|'normal'|'low'} [priority='normal'] - Scheduler lane
+ * @param {{ url: string, title: string }} [article] - Article the request is for (cost ledger)
+ * @returns {Promise<Array<{ id: *, success: boolean, data?: object, error?: string }>>}
+ */
+async function handleBatchPartitioning(paragraphs, priority, article) {
+    const batches = packParagraphBatches(paragraphs);
+    console.log(`ElevenLabs Translator: Packed ${paragraphs.length} paragraphs into ${batches.length} LLM calls (priority: ${priority || 'normal'})`);
+
+    const batchResults = await Promise.all(batches.map(batch => partitionBatch(batch, priority, article)));
+    return batchResults.flat();
+}
+
+// =============================================================================
+// TERMINOLOGY CONSISTENCY
+// Paragraphs are translated independently, so a recurring noun phrase or name
+// can get several renderings in one article. After processing, the content
+// script sends the article's blocks; recurring terms with inconsistent
+// translations get one rendering each, and the changed blocks go back.
+// =============================================================================
+
+/**
+ * Strips a block's source text or translation down to the term: no surrounding
+ * punctuation or extra spaces. Casing is kept (names, German nouns...).
+ * @param {string} text
+ * @returns {string}
+ */
+function trimTerm(text) {
+    return (text || '')
+        .replace(/^[\s.,;:!?'"«»()\[\]—–-]+|[\s.,;:!?'"«»()\[\]—–-]+$/g, '')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Comparison key of a term: trimmed and lowercased. Only for matching - what
+ * is written back keeps its casing.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTerm(text) {
+    return trimTerm(text).toLowerCase();
+}
+
+/**
+ * Finds recurring terms with more than one translation. Only short blocks
+ * that look like noun phrases or names count: blocks starting with a verb and
+ * blocks that are only a function word (preposition, conjunction, marker) are
+ * skipped.
+ * @param {Array<{ id: *, blocks: Array<{ original: string, translation: string }> }>} paragraphs
+ * @param {object} rulePack - Rule pack for the source language (word lists)
+ * @returns {Array<{ source: string, occurrences: Array<{ id: *, blockIndex: number, original: string, translation: string }>, translations: Array<{ t: string, n: number }> }>}
+ *   Most frequent terms first; translations most frequent first
+ */
+function collectTerminologyGroups(paragraphs, rulePack) {
+    const lists = rulePack.lists;
+    const functionWords = new Set(['fixedExpressions', 'discourseMarkers', 'prepositions', 'conjunctions', 'linkingVerbs']
+        .flatMap(name => lists[name] || []));
+    const groups = new Map();
+
+    paragraphs.forEach(paragraph => {
+        (paragraph.blocks || []).forEach((block, blockIndex) => {
+            // The user's own translations are left as they are
+            if (block.userEdited) return;
+            const source = normalizeTerm(block.original);
+            const words = source.split(' ');
+            if (!source || !normalizeTerm(block.translation)) return;
+            if (words.length > CONFIG.terminology.maxTermWords) return;
+            if (functionWords.has(source) || startsWithVerb(source, lists)) return;
+
+            if (!groups.has(source)) groups.set(source, { source: source, occurrences: [] });
+            groups.get(source).occurrences.push({
+                id: paragraph.id, blockIndex: blockIndex, original: block.original, translation: block.translation
+            });
+        });
+    });
+
+    return Array.from(groups.values())
+        .filter(group => group.occurrences.length >= CONFIG.terminology.minOccurrences)
+        .map(group => {
+            // Renderings that differ only in case count as one, kept in their
+            // mid-sentence form (applyTermRendering restores a capital at sentence
+            // start). When the source term is lowercase somewhere, a capital it
+            // has elsewhere is the sentence's, and so is the translation's.
+            const startsUpper = value => value[0] !== value[0].toLowerCase();
+            const sourceIsLowercase = group.occurrences.some(occurrence => !startsUpper(trimTerm(occurrence.original)));
+            const counts = new Map();
+            group.occurrences.forEach(occurrence => {
+                const key = normalizeTerm(occurrence.translation);
+                let text = trimTerm(occurrence.translation);
+                if (sourceIsLowercase && startsUpper(trimTerm(occurrence.original))) {
+                    text = text.charAt(0).toLowerCase() + text.slice(1);
+                }
+                const rendering = counts.get(key) || { t: text, n: 0 };
+                if (startsUpper(rendering.t) && !startsUpper(text)) rendering.t = text;
+                rendering.n++;
+                counts.set(key, rendering);
+            });
+            // Stable sort: ties keep the earliest rendering first
+            group.translations = Array.from(counts.values()).sort((a, b) => b.n - a.n);
+            return group;
+        })
+        .filter(group => group.translations.length > 1)
+        .sort((a, b) => b.occurrences.length - a.occurrences.length);
+}
+
+/**
+ * Puts a chosen rendering in place of an occurrence's translation, keeping the
+ * occurrence's surrounding punctuation and a capital at its start (sentence start).
+ * The rendering's own casing is kept.
+ * @param {string} translation - The block's current translation
+ * @param {string} rendering - Chosen rendering (trimmed, see trimTerm)
+ * @returns {string}
+ */
+function applyTermRendering(translation, rendering) {
+    const leading = translation.match(/^[\s.,;:!?'"«»()\[\]—–-]*/)[0];
+    const trailing = translation.slice(leading.length).match(/[\s.,;:!?'"«»()\[\]—–-]*$/)[0];
+    const core = translation.slice(leading.length, translation.length - trailing.length);
+
+    let text = rendering;
+    if (core && core[0] !== core[0].toLowerCase()) {
+        text = text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    return leading + text + trailing;
+}
+
+/**
+ * Asks the model for one rendering per term.
+ * @param {Array<object>} groups - From collectTerminologyGroups()
+ * @param {Array<object>} paragraphs - The article's paragraphs (for examples)
+ * @param {object} context - { settings, provider, languagePair, article }
+ * @returns {Promise<{ renderings: Map<string, string>, tokenUsage: object }>} Rendering by term source
+ * @throws {Error} When the response is unusable
+ */
+async function chooseTermRenderings(groups, paragraphs, context) {
+    const paragraphText = new Map(paragraphs.map(paragraph =>
+        [paragraph.id, paragraph.blocks.map(block => block.original).join(' ')]));
+    const userContent = JSON.stringify({
+        terms: groups.map((group, i) => ({
+            i: i,
+            source: group.source,
+            translations: group.translations,
+            examples: Array.from(new Set(group.occurrences.map(occurrence => occurrence.id)))
+                .slice(0, CONFIG.terminology.maxExamples)
+                .map(id => paragraphText.get(id))
+        }))
+    });
+
+    console.log(`ElevenLabs Translator: Requesting renderings for ${groups.length} inconsistent term(s)`);
+    const llmResult = await callLLM(context.settings, context.provider, [
+        { role: 'system', content: buildTerminologyPrompt(context.languagePair.source, context.languagePair.target) },
+        { role: 'user', content: userContent }
+    ], {
+        temperature: getRetryConfig(1).temperature,
+        schema: { name: 'terminology', schema: TERMINOLOGY_SCHEMA },
+        priority: 'low',
+        article: context.article
+    });
+
+    const response = parseJSONContent(llmResult.content);
+    const schemaErrors = validateSchema(response, TERMINOLOGY_SCHEMA);
+    if (schemaErrors.length > 0) {
+        throw new Error('Schema: ' + schemaErrors.slice(0, 3).join('; '));
+    }
+
+    const renderings = new Map();
+    response.terms.forEach(term => {
+        const group = groups[term.i];
+        const rendering = trimTerm(term.t);
+        if (group && rendering) renderings.set(group.source, rendering);
+    });
+    return { renderings: renderings, tokenUsage: llmResult.tokenUsage };
+}
+
+/**
+ * Handles a HARMONIZE_TERMINOLOGY request. Glossary terms use the glossary's
+ * translation and terms already decided earlier in the article (known) keep
+ * their rendering; new ones are decided by the model, or
+ * by the most frequent rendering when CONFIG.terminology.useLLM is off or the
+ * call fails.
+ * @param {Array<{ id: *, blocks: Array<{ original: string, translation: string }> }>} paragraphs
+ * @param {Object<string, string>} [known] - Renderings chosen by earlier passes, by term
+ * @param {{ url: string, title: string }} [article] - Article the request is for (cost ledger)
+ * @returns {Promise<{ changes: Array<{ id: *, blockIndex: number, translation: string }>, renderings: Object<string, string>, method: string|null, tokenUsage: object|null }>}
+ */
+async function harmonizeTerminology(paragraphs, known, article) {
+    const languagePair = await getLanguagePair();
+    const rulePack = await getRulePack(languagePair.source);
+    const groups = collectTerminologyGroups(paragraphs, rulePack);
+    const result = { changes: [], renderings: {}, method: null, tokenUsage: null };
+    if (groups.length === 0) return result;
+
+    // The user's glossary wins over earlier choices and the model, and is
+    // applied as the user wrote it
+    const renderings = new Map(Object.entries(known || {}));
+    (await getGlossaryEntries(languagePair)).forEach(entry => {
+        renderings.set(normalizeTerm(entry.source), trimTerm(entry.translation));
+    });
+    const undecided = groups.filter(group => !renderings.has(group.source)).slice(0, CONFIG.terminology.maxTerms);
+
+    if (undecided.length > 0) {
+        result.method = 'rule';
+        if (CONFIG.terminology.useLLM) {
+            try {
+                const settings = await getProviderSettings();
+                const provider = getProvider(settings.provider);
+                const chosen = await chooseTermRenderings(undecided, paragraphs, { settings, provider, languagePair, article });
+                chosen.renderings.forEach((rendering, source) => renderings.set(source, rendering));
+                result.method = 'llm';
+                result.tokenUsage = chosen.tokenUsage;
+            } catch (error) {
+                console.warn('ElevenLabs Translator: Terminology call failed, using the most frequent renderings:', error.message);
+            }
+        }
+        // Rule: the most frequent rendering (also covers terms the model left out)
+        undecided.forEach(group => {
+            if (!renderings.has(group.source)) renderings.set(group.source, group.translations[0].t);
+        });
+    }
+
+    groups.forEach(group => {
+        const rendering = renderings.get(group.source);
+        if (!rendering) return;
+        result.renderings[group.source] = rendering;
+        group.occurrences.forEach(occurrence => {
+            if (normalizeTerm(occurrence.translation) === normalizeTerm(rendering)) return;
+            result.changes.push({
+                id: occurrence.id,
+                blockIndex: occurrence.blockIndex,
+                translation: applyTermRendering(occurrence.translation, rendering)
+            });
+        });
+    });
+
+    console.log(`ElevenLabs Translator: Harmonized ${Object.keys(result.renderings).length} term(s), ${result.changes.length} block(s) changed`);
+    return result;
+}
@@ -19,17 +19,56 @@ const CONFIG = {
     // ==========================================================================
     cache: {
         prefix: 'translation_cache_',
-        version: 1
+        articlePrefix: 'translation_article_',  // Per-URL records for the popup's article list
+        overridePrefix: 'translation_override_',  // User-edited translations, kept apart from cache entries
+        version: 3,  // 3: one entry per paragraph, keyed by content; records model and prompt
+        // LRU eviction: when a write would pass evictAt of the chrome.storage.local
+        // quota, least recently used paragraphs are evicted down to evictTo
+        evictAtQuotaFraction: 0.9,
+        evictToQuotaFraction: 0.75
     },
 
     // ==========================================================================
-    // OPENAI API SETTINGS
+    // LLM PROVIDER SETTINGS
+    // Each provider has its own adapter in providers.js. The active provider,
+    // its API key and an optional model override are chosen in the popup.
     // ==========================================================================
     api: {
-        endpoint: 'https://api.openai.com/v1/chat/completions',
-        // model: 'gpt-4o-mini',
-        model: 'gpt-5-mini-2025-08-07',
-        responseFormat: { type: 'json_object' }
+        defaultProvider: 'openai',
+        providers: {
+            openai: {
+                endpoint: 'https://api.openai.com/v1/chat/completions',
+                // model: 'gpt-4o-mini',
+                model: 'gpt-5-mini-2025-08-07',
+                responseFormat: { type: 'json_object' },
+                structuredOutputs: true  // Send the response schema (strict json_schema)
+            },
+            anthropic: {
+                endpoint: 'https://api.anthropic.com/v1/messages',
+                model: 'claude-haiku-4-5',
+                apiVersion: '2023-06-01',
+                maxTokens: 4096
+            },
+            // Any OpenAI-compatible local server (Ollama, llama.cpp, LM Studio...)
+            local: {
+                endpoint: 'http://localhost:11434/v1/chat/completions',
+                model: 'llama3.1',
+                responseFormat: { type: 'json_object' },
+                structuredOutputs: false  // Not every local server supports json_schema
+            }
+        }
+    },
+
+    // ==========================================================================
+    // LANGUAGES
+    // `source: true` marks languages with segmentation rules in prompts.js
+    // (LANGUAGE_RULES). Any language can be a translation target.
+    // ==========================================================================
+    languages: {
+        fr: { name: 'French', source: true },
+        es: { name: 'Spanish', source: true },
+        de: { name: 'German', source: true },
+        en: { name: 'English', source: false }
     },
 
     // ==========================================================================
@@ -42,6 +81,81 @@ const CONFIG = {
         { temperature: 1, delay: 2000 }
     ],
 
+    // ==========================================================================
+    // REQUEST SCHEDULER (scheduler.js)
+    // Bounded concurrency plus token-bucket pacing: up to `burst` requests can
+    // start at once, refilled at requestsPerMinute. Rate-limited requests wait
+    // for Retry-After (or defaultRetryAfterMs) and are retried in place.
+    // ==========================================================================
+    scheduler: {
+        maxConcurrent: 3,
+        requestsPerMinute: 60,
+        burst: 5,
+        defaultRetryAfterMs: 5000,
+        maxRateLimitRetries: 5
+    },
+
+    // ==========================================================================
+    // MULTI-PARAGRAPH BATCHING
+    // Paragraphs are packed into one LLM call up to maxInputTokens of user
+    // content (estimated at charsPerToken), so the system prompt is paid once
+    // per batch instead of once per paragraph.
+    // ==========================================================================
+    batching: {
+        maxInputTokens: 2500,
+        charsPerToken: 4,
+        maxParagraphsPerMessage: 12  // content.js -> background message size
+    },
+
+    // ==========================================================================
+    // CROSS-PARAGRAPH CONTEXT
+    // Previous paragraphs (source + chosen translation) sent along with each
+    // request; the background drops the oldest ones beyond maxTokens
+    // ==========================================================================
+    context: {
+        maxParagraphs: 3,
+        maxTokens: 600
+    },
+
+    // ==========================================================================
+    // GLOSSARY
+    // User-defined term translations per language pair, edited on the options
+    // page and stored in chrome.storage.local. Entries whose term occurs in a
+    // paragraph are sent with its request (up to maxEntriesPerRequest).
+    // ==========================================================================
+    glossary: {
+        storageKey: 'glossary',
+        maxEntriesPerRequest: 30
+    },
+
+    // ==========================================================================
+    // FEW-SHOT EXAMPLES
+    // Curated good segmentations (corrections from the training corpus or
+    // imported files), stored in chrome.storage.local. Each request gets the
+    // examples of its language pair most similar to its text, as user/assistant
+    // turns, up to maxPerRequest examples and maxTokens of example content.
+    // ==========================================================================
+    fewShot: {
+        storageKey: 'few_shot_examples',
+        maxPerRequest: 2,
+        maxTokens: 800,
+        maxStored: 300
+    },
+
+    // ==========================================================================
+    // TERMINOLOGY CONSISTENCY
+    // After an article is processed, noun phrases and names that recur across
+    // paragraphs with different translations are harmonized: by one LLM call
+    // (useLLM), or by the most frequent rendering if that is off or fails
+    // ==========================================================================
+    terminology: {
+        minOccurrences: 2,   // Times a term must occur in the article
+        maxTermWords: 4,     // Longer blocks are phrases, not terms
+        maxTerms: 40,        // Terms per LLM call (most frequent first)
+        maxExamples: 2,      // Source paragraphs sent per term
+        useLLM: true
+    },
+
     // ==========================================================================
     // DOM SELECTORS
     // ==========================================================================
@@ -54,7 +168,20 @@ const CONFIG = {
     // TIMING / THRESHOLDS
     // ==========================================================================
     timing: {
-        doublePressThreshold: 300  // ms - for double arrow key detection
+        doublePressThreshold: 300,  // ms - for double arrow key detection
+        contentChangeDebounce: 250,  // ms - collect DOM changes before processing new paragraphs
+        routeCheckInterval: 500      // ms - URL polling for in-app navigation (pushState)
+    },
+
+    // ==========================================================================
+    // LAZY PROCESSING
+    // Used when "Process As You Read" is on: only visible/playing paragraphs
+    // (plus a look-ahead window) are sent to the LLM
+    // ==========================================================================
+    lazy: {
+        rootMargin: '200px 0px',  // Start slightly before a paragraph scrolls into view
+        playbackPollMs: 1000,     // How often to check which paragraph is being played
+        flushDelayMs: 100         // Collect requests this long so they can be batched
     },
 
     // ==========================================================================
@@ -62,14 +189,81 @@ const CONFIG = {
     // ==========================================================================
     costEstimation: {
         // ElevenLabs Reader: ~833 characters per minute
-        elevenLabsCharsPerMinute: 833,
-        // OpenAI GPT-4o-mini pricing (per million tokens)
+        elevenLabsCharsPerMinute: 833
+    },
+
+    // ==========================================================================
+    // MODEL PRICING (USD per million tokens)
+    // Keyed by provider, then model. Dated snapshots (gpt-5-mini-2025-08-07)
+    // fall back to their base name; '*' matches any model of a provider.
+    // Models not listed are reported as unpriced rather than costed at
+    // another model's rates - add them here.
+    // ==========================================================================
+    pricing: {
         openai: {
-            inputPerMillion: 0.15,   // $0.15 per 1M input tokens
-            outputPerMillion: 0.60   // $0.60 per 1M output tokens
+            'gpt-5':        { input: 1.25, cachedInput: 0.125, output: 10.00 },
+            'gpt-5-mini':   { input: 0.25, cachedInput: 0.025, output: 2.00 },
+            'gpt-5-nano':   { input: 0.05, cachedInput: 0.005, output: 0.40 },
+            'gpt-4.1':      { input: 2.00, cachedInput: 0.50,  output: 8.00 },
+            'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10,  output: 1.60 },
+            'gpt-4o':       { input: 2.50, cachedInput: 1.25,  output: 10.00 },
+            'gpt-4o-mini':  { input: 0.15, cachedInput: 0.075, output: 0.60 }
+        },
+        anthropic: {
+            'claude-haiku-4-5':  { input: 1.00, cachedInput: 0.10, output: 5.00 },
+            'claude-sonnet-4-5': { input: 3.00, cachedInput: 0.30, output: 15.00 },
+            'claude-3-5-haiku':  { input: 0.80, cachedInput: 0.08, output: 4.00 }
+        },
+        // Local servers are free per token
+        local: {
+            '*': { input: 0, cachedInput: 0, output: 0 }
         }
     },
 
+    // ==========================================================================
+    // COST LEDGER
+    // Persistent spending history kept by the background (one row per day,
+    // model and article); shown in the popup's Spending section. Older days
+    // are folded into one row per month, provider and model.
+    // ==========================================================================
+    costLedger: {
+        storageKey: 'cost_ledger',
+        retentionDays: 90  // Days kept per article before folding into monthly rows
+    },
+
+    // ==========================================================================
+    // SPENDING LIMITS
+    // Pre-flight estimates for paragraphs about to be sent, and the daily /
+    // monthly caps the background enforces against the cost ledger. The
+    // thresholds themselves are user settings (see defaults; 0 = off).
+    // ==========================================================================
+    budget: {
+        completionTokensPerWord: 4  // Estimated output (block JSON + translation) per source word
+    },
+
+    // ==========================================================================
+    // RULE PACKS
+    // Semantic validation rules per source language (see rules.js). Packs
+    // edited on the options page are stored in chrome.storage.local under
+    // storagePrefix + language; languages without one use the built-in pack.
+    // ==========================================================================
+    rulePacks: {
+        storagePrefix: 'rule_pack_'
+    },
+
+    // ==========================================================================
+    // TRAINING CORPUS
+    // Each segmentation (source words, raw and final blocks, violations, model
+    // and prompt version) and the edits made to it on the page, stored in
+    // chrome.storage.local for JSONL export from the options page. Beyond
+    // maxBytes the least recently updated records are dropped.
+    // ==========================================================================
+    training: {
+        storagePrefix: 'training_example_',
+        maxBytes: 2097152,      // 2 MB of the ~10 MB chrome.storage.local quota; the rest stays for the cache
+        pruneToFraction: 0.8    // Pruning frees a fifth of the budget at once
+    },
+
     // ==========================================================================
     // RECOMMENDED VOICES
     // Voices optimized for French language learning
@@ -99,7 +293,15 @@ const CONFIG = {
         debugClauses: true,
         currentSegmentationType: 'Clause',
         individualTranslations: true,
-        limitSingleParagraph: false
+        limitSingleParagraph: false,
+        lazyProcessing: false,
+        lazyLookAhead: 3,
+        confirmCostAbove: 0.05,  // USD - ask before sending paragraphs estimated above this
+        dailyCap: 0,             // USD - 0 = no cap
+        monthlyCap: 0,           // USD - 0 = no cap
+        recordTrainingData: true,
+        sourceLanguage: 'fr',
+        targetLanguage: 'en'
     }
 };
 
@@ -124,3 +326,35 @@ function getRetryConfig(attempt) {
 function getMaxRetries() {
     return CONFIG.retry.length;
 }
+
+/**
+ * Looks up a model's rates in CONFIG.pricing.
+ * @param {string} provider - Provider id
+ * @param {string} model - Model name, possibly a dated snapshot
+ * @returns {{ input: number, cachedInput: number, output: number }|null} Null if the model has no pricing
+ */
+function getModelPricing(provider, model) {
+    const table = CONFIG.pricing[provider];
+    if (!table) return null;
+    const baseModel = String(model || '').replace(/-(\d{4}-\d{2}-\d{2}|\d{8})$/, '');
+    return table[model] || table[baseModel] || table['*'] || null;
+}
+
+/**
+ * Calculates LLM API cost from token usage at a model's rates.
+ * Cached prompt tokens are part of promptTokens and billed at the cached-input rate.
+ * @param {{ promptTokens: number, completionTokens: number, cachedPromptTokens?: number }} tokenUsage
+ * @param {string} provider - Provider id
+ * @param {string} model - Model the tokens were used with
+ * @returns {number|null} Cost in USD, or null if the model has no pricing
+ */
+function calculateTokenCost(tokenUsage, provider, model) {
+    const pricing = getModelPricing(provider, model);
+    if (!pricing) return null;
+
+    const cachedTokens = tokenUsage.cachedPromptTokens || 0;
+    const uncachedTokens = (tokenUsage.promptTokens || 0) - cachedTokens;
+    return (uncachedTokens * pricing.input +
+        cachedTokens * pricing.cachedInput +
+        (tokenUsage.completionTokens || 0) * pricing.output) / 1_000_000;
+}
@@ -72,6 +72,18 @@ const Logger = {
         console.groupCollapsed(`${CONFIG.logging.prefix} [TRAINING DETAILS]`);
         console.log(lines.join('\n'));
         console.groupEnd();
+    },
+    /**
+     * Outputs the oversized blocks the background split (block length rule),
+     * as training data for prompt refinement.
+     * @param {object} responseData - The LLM response with optional blockSplits
+     */
+    trainingSplits(responseData) {
+        if (!this._enabled || !RUNTIME.debugClauses) return;
+
+        (responseData.blockSplits || []).forEach(split => {
+            console.log(`${CONFIG.logging.prefix} [TRAINING] [SPLIT] ${split.original} → ${split.halves.join(' | ')}`);
+        });
     }
 };
 
@@ -81,15 +93,13 @@ Logger.log("Content script loaded.");
 // These are always active (not tied to Debug Clauses toggle)
 
 /**
- * Calculates OpenAI API cost from token counts.
- * @param {number} promptTokens - Input tokens
- * @param {number} completionTokens - Output tokens
- * @returns {number} Cost in USD
+ * Calculates LLM API cost from token usage, at the rates of the model the
+ * background reports the call was made with.
+ * @param {{ promptTokens: number, completionTokens: number, cachedPromptTokens?: number, provider?: string, model?: string }} tokenUsage
+ * @returns {number|null} Cost in USD, or null if the model has no pricing
  */
-function calculateOpenAICost(promptTokens, completionTokens) {
-    const inputCost = (promptTokens / 1_000_000) * CONFIG.costEstimation.openai.inputPerMillion;
-    const outputCost = (completionTokens / 1_000_000) * CONFIG.costEstimation.openai.outputPerMillion;
-    return inputCost + outputCost;
+function calculateOpenAICost(tokenUsage) {
+    return calculateTokenCost(tokenUsage, tokenUsage.provider, tokenUsage.model);
 }
 
 /**
@@ -116,28 +126,47 @@ function formatNumber(num) {
  * Always active (not tied to Debug Clauses toggle).
  * @param {number} paragraphIndex - Index of the paragraph (1-based)
  * @param {string} originalText - The original text that was translated
- * @param {number} promptTokens - Input tokens used
- * @param {number} completionTokens - Output tokens used
+ * @param {object} tokenUsage - Usage reported by the background, with provider and model
  */
-function logParagraphCost(paragraphIndex, originalText, promptTokens, completionTokens) {
+function logParagraphCost(paragraphIndex, originalText, tokenUsage) {
     const elevenLabsMinutes = calculateElevenLabsMinutes(originalText);
-    const openAICost = calculateOpenAICost(promptTokens, completionTokens);
+    const openAICost = calculateOpenAICost(tokenUsage);
+    const promptTokens = tokenUsage.promptTokens || 0;
+    const completionTokens = tokenUsage.completionTokens || 0;
+    const contextTokens = tokenUsage.contextTokens || 0;
+    const modelName = tokenUsage.model ? `${tokenUsage.provider}/${tokenUsage.model}` : 'unknown model';
 
     // Update running totals
     costTracker.totalElevenLabsMinutes += elevenLabsMinutes;
-    costTracker.totalOpenAICost += openAICost;
+    costTracker.totalOpenAICost += openAICost || 0;
     costTracker.totalPromptTokens += promptTokens;
     costTracker.totalCompletionTokens += completionTokens;
+    costTracker.totalContextTokens += contextTokens;
     costTracker.paragraphCount++;
+    if (openAICost === null) costTracker.unpricedParagraphCount++;
 
     // Format and log
+    const apiCost = openAICost === null ? 'unpriced - no pricing for this model' : `$${openAICost.toFixed(5)}`;
     console.log(
         `${CONFIG.logging.prefix} 📊 Paragraph ${paragraphIndex} Cost:\n` +
         `      → ElevenLabs Reader: ${elevenLabsMinutes.toFixed(1)} min (of your subscription)\n` +
-        `      → OpenAI API: $${openAICost.toFixed(5)} (${formatNumber(promptTokens)} in / ${formatNumber(completionTokens)} out tokens)`
+        `      → LLM API (${modelName}): ${apiCost} (${formatNumber(promptTokens)} in, incl. ${formatNumber(contextTokens)} context / ${formatNumber(completionTokens)} out tokens)`
     );
 }
 
+/**
+ * Resets the running cost totals (new document).
+ */
+function resetCostTracker() {
+    costTracker.totalElevenLabsMinutes = 0;
+    costTracker.totalOpenAICost = 0;
+    costTracker.totalPromptTokens = 0;
+    costTracker.totalCompletionTokens = 0;
+    costTracker.totalContextTokens = 0;
+    costTracker.paragraphCount = 0;
+    costTracker.unpricedParagraphCount = 0;
+}
+
 /**
  * Logs the total cost summary after all paragraphs are processed.
  * Always active (not tied to Debug Clauses toggle).
@@ -148,28 +177,50 @@ function logTotalCostSummary() {
     console.log(
         `${CONFIG.logging.prefix} 📊 TOTAL COST SUMMARY:\n` +
         `      → ElevenLabs Reader: ${costTracker.totalElevenLabsMinutes.toFixed(1)} min (of your subscription)\n` +
-        `      → OpenAI API: $${costTracker.totalOpenAICost.toFixed(5)} (${formatNumber(costTracker.totalPromptTokens)} in / ${formatNumber(costTracker.totalCompletionTokens)} out tokens)`
+        `      → LLM API: $${costTracker.totalOpenAICost.toFixed(5)} (${formatNumber(costTracker.totalPromptTokens)} in, incl. ${formatNumber(costTracker.totalContextTokens)} context / ${formatNumber(costTracker.totalCompletionTokens)} out tokens)` +
+        (costTracker.unpricedParagraphCount > 0
+            ? `\n      → ${costTracker.unpricedParagraphCount} paragraphs from a model without pricing are not included`
+            : '')
     );
 }
 
 // --- Cache Helper Functions ---
 
 /**
- * Gets cached translations for the current page URL.
- * @returns {Promise<object|null>} Cached data or null if not found
+ * Describes the current article for the cache's article list.
+ * @returns {{ url: string, title: string }}
+ */
+function getCurrentArticle() {
+    const heading = document.querySelector('#preview-content h1');
+    const title = (heading && heading.textContent.trim()) || document.title;
+    return { url: window.location.href, title: title };
+}
+
+/**
+ * Looks up cached translations for paragraphs by their word lists.
+ * @param {Array<object>} wordMaps - Word maps from extractWordMap()
+ * @returns {Promise<{ hits: Map<number, {responseData: object, outdated: boolean, origin: object}>, reprocess: boolean }>}
+ *   Cache hits by paragraphIndex; `reprocess` if the popup asked to re-process this article
  */
-async function getCachedTranslations() {
+async function getCachedTranslations(wordMaps) {
     return new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
-            action: 'GET_CACHED_TRANSLATIONS',
-            url: window.location.href
+            action: 'GET_CACHED_PARAGRAPHS',
+            article: getCurrentArticle(),
+            paragraphs: wordMaps.map(wordMap => ({
+                id: wordMap.paragraphIndex,
+                words: wordMap.words.map(w => ({ c: w.c, text: w.text }))
+            }))
         }, (response) => {
             if (chrome.runtime.lastError) {
                 reject(new Error(chrome.runtime.lastError.message));
                 return;
             }
             if (response && response.success) {
-                resolve(response.data);
+                resolve({
+                    hits: new Map(response.data.hits.map(hit => [hit.id, hit])),
+                    reprocess: response.data.reprocess
+                });
             } else {
                 reject(new Error(response?.error || 'Failed to get cached translations'));
             }
@@ -178,16 +229,19 @@ async function getCachedTranslations() {
 }
 
 /**
- * Stores translations in the cache for the current page URL.
- * @param {Array<object>} paragraphs - Array of paragraph translation data
+ * Stores paragraph translations in the cache, keyed by each paragraph's words.
+ * @param {Array<{wordMap: object, responseData: object}>} paragraphs
  * @returns {Promise<void>}
  */
 async function setCachedTranslations(paragraphs) {
     return new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
-            action: 'SET_CACHED_TRANSLATIONS',
-            url: window.location.href,
-            paragraphs: paragraphs
+            action: 'SET_CACHED_PARAGRAPHS',
+            article: getCurrentArticle(),
+            paragraphs: paragraphs.map(({ wordMap, responseData }) => ({
+                words: wordMap.words.map(w => ({ c: w.c, text: w.text })),
+                responseData: responseData
+            }))
         }, (response) => {
             if (chrome.runtime.lastError) {
                 reject(new Error(chrome.runtime.lastError.message));
@@ -208,16 +262,53 @@ const RUNTIME = {
     debugClauses: CONFIG.defaults.debugClauses,
     currentSegmentationType: CONFIG.defaults.currentSegmentationType,
     individualTranslations: CONFIG.defaults.individualTranslations,
-    limitSingleParagraph: CONFIG.defaults.limitSingleParagraph
+    limitSingleParagraph: CONFIG.defaults.limitSingleParagraph,
+    lazyProcessing: CONFIG.defaults.lazyProcessing,
+    lazyLookAhead: CONFIG.defaults.lazyLookAhead,
+    confirmCostAbove: CONFIG.defaults.confirmCostAbove
 };
 
 
 // --- State ---
-let isProcessing = false;
-let hasProcessedInitially = false; // Ensures LLM call only happens once per page load
+let processingCount = 0; // Number of processing passes in flight (drives the banner)
+let hasProcessedInitially = false; // Ensures the initial processing pass only happens once per page load
 let activeOverlays = []; // Stores { range, overlayElement, debugElement, type }
 let isUsingCachedTranslations = false; // Track if we're loading from cache
+
+// --- Lazy Processing State ---
+let lazyObserver = null; // IntersectionObserver over translatable paragraphs
+let playbackPollTimer = null;
+let lastPlayingParagraph = null;
+let lazyRequests = new Map(); // paragraph -> highest requested priority, flushed together
+let lazyFlushTimer = null;
+
+// --- Content Observer State ---
+let contentObserver = null; // MutationObserver over #preview-content
+let observedContentDiv = null; // The #preview-content element being observed
+let contentChangeTimer = null;
+let changedParagraphs = new Set(); // Paragraphs added or changed since the last pass
+let hasRemovedContent = false; // Nodes were removed since the last pass
 let isExtensionActive = false; // Tracks if extension is currently enabled and initialized
+let documentGeneration = 0; // Incremented by teardown(); results for an earlier document are discarded
+
+// --- Outdated Cache State ---
+let reprocessOutdated = false; // Re-process outdated cached paragraphs of this document (asked from the popup)
+let hasNotifiedOutdated = false;
+let pendingComparisons = []; // { paragraph, wordMap, oldResponse, newResponse, origin } awaiting the user's choice
+
+// --- Spending Limit State ---
+let costApproval = null; // Reader's answer to this document's cost confirmation (null = not asked)
+let costApprovalPrompt = null; // Pending estimate/confirmation shared by concurrent passes
+let resolveCostConfirmation = null; // Answers the open confirmation panel (teardown declines it)
+let budgetPaused = false; // A spending cap was reached; nothing is sent until it is raised
+
+// --- Terminology State ---
+let terminologyRenderings = {}; // term -> rendering chosen by earlier passes over this document
+let terminologyPass = null; // Pass in flight; a second request while one runs is dropped
+
+// --- Boundary Editing State ---
+let boundaryDrafts = null; // paragraph -> edited blocks while boundary editing is on (null = off)
+let boundaryClickHandler = null;
 
 // --- Event Handler References (for cleanup) ---
 let keydownHandler = null;
@@ -227,13 +318,15 @@ let resizeHandler = null;
 let scrollHandler = null;
 
 // --- Cost Tracking State ---
-// Running totals for cost summary (reset per page load)
+// Running totals for cost summary (reset per document)
 const costTracker = {
     totalElevenLabsMinutes: 0,
     totalOpenAICost: 0,
     totalPromptTokens: 0,
     totalCompletionTokens: 0,
-    paragraphCount: 0
+    totalContextTokens: 0,  // Part of totalPromptTokens spent on previous-paragraph context
+    paragraphCount: 0,
+    unpricedParagraphCount: 0  // Model without pricing (see CONFIG.pricing)
 };
 
 // --- Text Extraction & Tokenization ---
@@ -407,8 +500,10 @@ function mapSegmentsToSpans(wordMap, segments) {
             segment: {
                 original: spansInRange.map(s => s.text).join(' '),
                 translation,
-                type
+                type,
+                userEdited: !!segment.userEdited
             },
+            block: segment, // The response block, for editing
             spans: spansInRange.map(s => s.spanElement),
             range
         });
@@ -420,15 +515,51 @@ function mapSegmentsToSpans(wordMap, segments) {
 // --- Translation Service ---
 
 /**
- * Fetches translations using position-based mapping with c attributes.
- * @param {{ words: Array<{c: number, text: string}> }} wordMap - Word map with positions
- * @returns {Promise<object>} Translation response with start_c/end_c segments
+ * Collects the paragraphs before each word map as context for the model:
+ * source text, plus the translation shown for it if it is already translated.
+ * The background bounds the window further (CONFIG.context.maxTokens).
+ * @param {Array<{ paragraphIndex: number, words: Array<{c: number, text: string}> }>} wordMaps
+ * @returns {Array<{ id: number, words: Array<{c: number, text: string}>, context: Array<{ id: number, text: string, translation: string|null }> }>}
+ *   Paragraphs in the shape the background expects
  */
-async function fetchMeaningBlocks(wordMap) {
+function toRequestParagraphs(wordMaps) {
+    const paragraphs = getTranslatableParagraphs();
+
+    return wordMaps.map(wordMap => {
+        const context = [];
+        const first = Math.max(0, wordMap.paragraphIndex - CONFIG.context.maxParagraphs);
+        for (let j = first; j < wordMap.paragraphIndex && j < paragraphs.length; j++) {
+            const p = paragraphs[j];
+            const words = (p._wordMap || extractWordMap(p, j)).words;
+            if (words.length === 0) continue;
+            context.push({
+                id: j,
+                text: words.map(w => w.text).join(' '),
+                translation: p._fullResponse
+                    ? getBlocks(p._fullResponse).map(block => block.translation).join(' ')
+                    : null
+            });
+        }
+
+        return {
+            id: wordMap.paragraphIndex,
+            words: wordMap.words.map(w => ({ c: w.c, text: w.text })),
+            context: context
+        };
+    });
+}
+
+/**
+ * Asks the background what partitioning these paragraphs would cost.
+ * @param {Array<{ paragraphIndex: number, words: Array<{c: number, text: string}> }>} wordMaps
+ * @returns {Promise<{ paragraphs: number, words: number, calls: number, promptTokens: number, completionTokens: number, provider: string, model: string, cost: number|null }>}
+ *   cost is null when the model has no pricing
+ */
+async function estimateCost(wordMaps) {
     return new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
-            action: 'PARTITION_TEXT',
-            wordData: { words: wordMap.words.map(w => ({ c: w.c, text: w.text })) }
+            action: 'ESTIMATE_COST',
+            paragraphs: toRequestParagraphs(wordMaps)
         }, (response) => {
             if (chrome.runtime.lastError) {
                 reject(new Error(chrome.runtime.lastError.message));
@@ -443,7 +574,35 @@ async function fetchMeaningBlocks(wordMap) {
     });
 }
 
-// Removed legacy fetchTranslations function - now using fetchMeaningBlocks only
+/**
+ * Fetches meaning blocks for several paragraphs in one message.
+ * The background packs them into as few LLM calls as its token budget allows.
+ * @param {Array<{ paragraphIndex: number, words: Array<{c: number, text: string}> }>} wordMaps
+ * @param {'high'|'normal'|'low'} [priority='normal'] - Background scheduler lane
+ * @returns {Promise<Array<{ id: number, success: boolean, data?: object, error?: string }>>} One result per word map, id = paragraphIndex
+ */
+async function fetchMeaningBlocksBatch(wordMaps, priority = 'normal') {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'PARTITION_BATCH',
+            article: getCurrentArticle(),
+            priority: priority,
+            paragraphs: toRequestParagraphs(wordMaps)
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (response && response.success) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response?.error || 'Unknown error'));
+            }
+        });
+    });
+}
+
+// Removed legacy fetchTranslations/fetchMeaningBlocks functions - now using fetchMeaningBlocksBatch only
 
 // --- Mapping Logic ---
 
@@ -588,7 +747,7 @@ function renderSegmentations(p, alignedSegments) {
     p._translationOverlays = [];
 
     alignedSegments.forEach((item, index) => {
-        const { segment, spans } = item;
+        const { segment, spans, block } = item;
         Logger.log(`Creating overlay ${index}:`, segment.type, segment.translation?.substring(0, 30));
 
         // Create Range from spans for positioning
@@ -627,6 +786,9 @@ function renderSegmentations(p, alignedSegments) {
             hoverZoneElement: hoverZoneContainer,
             type: segment.type,
             translation: segment.translation,
+            userEdited: segment.userEdited,
+            block: block,
+            paragraph: p,
             spans: spans || []
         };
 
@@ -805,6 +967,21 @@ function updateOverlayPositions() {
             const lineOverlay = document.createElement('div');
             lineOverlay.className = 'translation-line';
             lineOverlay.textContent = translationLines[lineIdx] || '';
+            if (item.userEdited) {
+                lineOverlay.classList.add('elt-user-edited');
+                lineOverlay.title = 'Edited by you - click to change';
+            } else {
+                lineOverlay.title = 'Click to edit this translation';
+            }
+            if (item.block) {
+                lineOverlay.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    // Blocks being re-segmented have no translation to edit yet
+                    if (boundaryDrafts) return;
+                    openTranslationEditor(item, lineOverlay);
+                });
+            }
 
             // Position: centered below the original line, tight to underline
             const gapBelowText = 1; // Minimal gap between underline and translation pill
@@ -884,256 +1061,1422 @@ async function reRenderAll() {
             const blocks = getBlocks(p._fullResponse);
             Logger.log(`Paragraph ${idx}: ${blocks.length} meaning blocks available`);
 
-            // Use position-based mapping (only method now supported)
-            if (p._wordMap && p._wordMap.words.length > 0) {
-                const mapped = mapSegmentsToSpans(p._wordMap, blocks);
-                Logger.log(`Paragraph ${idx}: ${mapped.length} blocks mapped`);
-                renderSegmentations(p, mapped);
-            } else {
-                Logger.warn(`Paragraph ${idx}: no word map available - cannot render blocks`);
-            }
-        } else {
-            Logger.log(`Paragraph ${idx}: no _fullResponse, skipping`);
-        }
-    });
+            // Use position-based mapping (only method now supported)
+            if (p._wordMap && p._wordMap.words.length > 0) {
+                const mapped = mapSegmentsToSpans(p._wordMap, blocks);
+                Logger.log(`Paragraph ${idx}: ${mapped.length} blocks mapped`);
+                renderSegmentations(p, mapped);
+            } else {
+                Logger.warn(`Paragraph ${idx}: no word map available - cannot render blocks`);
+            }
+        } else {
+            Logger.log(`Paragraph ${idx}: no _fullResponse, skipping`);
+        }
+    });
+}
+
+function injectToggleButton() {
+    if (document.getElementById('elevenlabs-translator-toggle')) return;
+
+    const btn = document.createElement('button');
+    btn.id = 'elevenlabs-translator-toggle';
+    btn.innerHTML = '\u6587';
+    btn.title = "Press and hold \"/\" key";
+
+    const show = () => setTranslationsVisibility(true);
+    const hide = () => setTranslationsVisibility(false);
+
+    btn.addEventListener('mousedown', show);
+    btn.addEventListener('mouseup', hide);
+    btn.addEventListener('mouseleave', hide);
+    btn.addEventListener('touchstart', (e) => { e.preventDefault(); show(); });
+    btn.addEventListener('touchend', hide);
+
+    document.body.appendChild(btn);
+}
+
+let translationsVisible = false;
+function setTranslationsVisibility(visible) {
+    translationsVisible = visible;
+    // Handle both legacy single overlays and new multi-line containers
+    const overlays = document.querySelectorAll('.translation-overlay, .translation-overlay-container');
+    overlays.forEach(el => {
+        if (visible) el.classList.add('translation-visible');
+        else el.classList.remove('translation-visible');
+    });
+    // Also show/hide underlines with translations
+    if (visible) {
+        document.body.classList.add('elt-translations-visible');
+    } else {
+        document.body.classList.remove('elt-translations-visible');
+    }
+}
+
+// --- Main Logic ---
+
+/**
+ * Shows a temporary error notification to the user.
+ * @param {string} message - Error message to display
+ */
+function showErrorNotification(message) {
+    showNotification('Translation Error', message, '#f44336');
+}
+
+/**
+ * Shows a dismissable notification in the bottom-right corner.
+ * @param {string} title
+ * @param {string} message
+ * @param {string} background - Background color
+ */
+function showNotification(title, message, background) {
+    // Remove existing notification if any
+    const existing = document.getElementById('elevenlabs-error-notification');
+    if (existing) existing.remove();
+
+    const notification = document.createElement('div');
+    notification.id = 'elevenlabs-error-notification';
+    notification.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        max-width: 350px;
+        padding: 15px 20px;
+        background: ${background};
+        color: white;
+        border-radius: 8px;
+        font-family: sans-serif;
+        font-size: 14px;
+        z-index: 10001;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+        cursor: pointer;
+    `;
+
+    // Built as text nodes: messages can quote the page's words
+    const titleEl = document.createElement('strong');
+    titleEl.textContent = title;
+    const messageEl = document.createElement('span');
+    messageEl.style.fontSize = '12px';
+    messageEl.textContent = message;
+    const hintEl = document.createElement('div');
+    hintEl.style.cssText = 'font-size: 11px; margin-top: 8px; opacity: 0.8;';
+    hintEl.textContent = 'Click to dismiss';
+    notification.append(titleEl, document.createElement('br'), messageEl, hintEl);
+
+    notification.onclick = () => notification.remove();
+
+    // Auto-remove after 10 seconds
+    setTimeout(() => {
+        if (notification.parentNode) notification.remove();
+    }, 10000);
+
+    document.body.appendChild(notification);
+}
+
+/**
+ * Returns the non-empty translatable elements of the current document, in order.
+ * A paragraph's position in this list is its cache index.
+ * @returns {HTMLElement[]}
+ */
+function getTranslatableParagraphs() {
+    const contentDiv = document.getElementById('preview-content');
+    if (!contentDiv) return [];
+
+    let paragraphs = Array.from(contentDiv.querySelectorAll(CONFIG.selectors.translatable))
+        .filter(p => p.textContent.trim().length > 0);
+
+    // Apply single paragraph limit if enabled (debug feature to save API calls)
+    if (RUNTIME.limitSingleParagraph) {
+        paragraphs = paragraphs.slice(0, 1);
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Stores a paragraph's meaning blocks on its element and renders them.
+ * @param {HTMLElement} p - The paragraph element
+ * @param {object} wordMap - Word map from extractWordMap()
+ * @param {object} responseData - Response with blocks array
+ */
+function renderParagraphResponse(p, wordMap, responseData) {
+    p._fullResponse = responseData;
+    p._wordMap = wordMap; // Store word map for re-rendering
+
+    const blocks = getBlocks(responseData);
+
+    Logger.debug("Meaning blocks processing", {
+        wordCount: wordMap.words.length,
+        blockCount: blocks.length,
+        firstBlock: blocks[0] ? `c:${blocks[0].start_c}-${blocks[0].end_c}: "${blocks[0].original}"` : 'none'
+    });
+
+    const mapped = mapSegmentsToSpans(wordMap, blocks);
+
+    Logger.debug("Mapping result:", mapped.length, "blocks mapped");
+
+    if (mapped.length > 0) {
+        renderSegmentations(p, mapped);
+        // Enable toggle button as soon as first paragraph has translations
+        enableToggleButtonIfReady();
+    } else if (blocks.length > 0) {
+        Logger.warn("No blocks mapped - check c values match between API response and DOM");
+    }
+}
+
+/**
+ * Processes a set of paragraphs: cached ones are rendered immediately, the rest are
+ * sent to the background grouped by priority and rendered as each group returns.
+ * Paragraphs already translated or in flight are skipped, so this is safe to call repeatedly.
+ * @param {Array<{ paragraph: HTMLElement, priority: 'high'|'normal'|'low' }>} requests
+ */
+async function processParagraphElements(requests) {
+    const paragraphs = getTranslatableParagraphs();
+    const pending = requests.filter(r =>
+        !r.paragraph._fullResponse && !r.paragraph._pending && paragraphs.includes(r.paragraph));
+
+    if (pending.length === 0) return;
+
+    pending.forEach(r => { r.paragraph._pending = true; });
+    processingCount++;
+
+    // Results are discarded if the extension is torn down meanwhile
+    // (disabled, new language pair or new document)
+    const generation = documentGeneration;
+
+    try {
+        const requested = [];
+        pending.forEach(r => {
+            const i = paragraphs.indexOf(r.paragraph);
+            const wordMap = extractWordMap(r.paragraph, i);
+
+            // Only position-based partitioning is supported
+            if (wordMap.words.length === 0) {
+                Logger.warn(`Paragraph ${i}: skipping - no word map available for meaning blocks`);
+                return;
+            }
+            requested.push({ wordMap, priority: r.priority });
+        });
+
+        if (requested.length === 0) return;
+
+        // Cache check first - entries are matched by the paragraph's words, not its position
+        let cached = { hits: new Map(), reprocess: false };
+        try {
+            cached = await getCachedTranslations(requested.map(item => item.wordMap));
+        } catch (err) {
+            Logger.debug("Cache check failed:", err.message);
+        }
+        if (generation !== documentGeneration) return;
+        if (cached.reprocess) reprocessOutdated = true;
+
+        const toFetch = [];
+        const outdatedParagraphs = [];
+        requested.forEach(item => {
+            const i = item.wordMap.paragraphIndex;
+            const hit = cached.hits.get(i);
+            if (hit) {
+                const p = item.wordMap.paragraphElement;
+                renderParagraphResponse(p, item.wordMap, hit.responseData);
+                p._cacheOutdated = hit.outdated;
+                p._cacheOrigin = hit.origin;
+                if (hit.outdated) outdatedParagraphs.push(p);
+                Logger.debug(`Loaded cached paragraph ${i + 1}: ${getBlocks(hit.responseData).length} blocks`);
+            } else {
+                toFetch.push(item);
+            }
+        });
+
+        if (cached.hits.size > 0) {
+            isUsingCachedTranslations = true;
+            Logger.log("Loaded", cached.hits.size, "paragraphs from cache");
+        }
+
+        // Outdated hits are shown, but never silently: offer (or run) re-processing
+        if (outdatedParagraphs.length > 0) {
+            Logger.log(outdatedParagraphs.length, "cached paragraphs are from a different model or prompt");
+            if (reprocessOutdated) {
+                reprocessParagraphs(outdatedParagraphs);
+            } else {
+                notifyOutdatedTranslations();
+            }
+        }
+
+        // "Loading cached translations..." only when nothing needs the LLM
+        if (toFetch.length === 0) {
+            showProcessingBanner(true);
+            return;
+        }
+
+        // Nothing is sent while a spending cap is reached, or once the reader
+        // declined this document's estimate
+        if (budgetPaused || !(await confirmEstimatedCost(toFetch.map(item => item.wordMap)))) return;
+        if (generation !== documentGeneration) return;
+        showProcessingBanner(false);
+
+        // One group per priority lane, split to keep messages small; the background
+        // packs each group into batched LLM calls and serves the high lane first
+        const groups = [];
+        const groupSize = CONFIG.batching.maxParagraphsPerMessage;
+        ['high', 'normal', 'low'].forEach(priority => {
+            const laneMaps = toFetch.filter(item => item.priority === priority).map(item => item.wordMap);
+            for (let start = 0; start < laneMaps.length; start += groupSize) {
+                groups.push({ wordMaps: laneMaps.slice(start, start + groupSize), priority });
+            }
+        });
+
+        // Groups run concurrently; results are rendered as each one arrives
+        const paragraphsToCache = [];
+        let requestFailed = false;
+        await Promise.all(groups.map(async group => {
+            Logger.debug(`Processing ${group.wordMaps.length} paragraphs (${group.priority} priority) with position-based mapping`);
+
+            let results;
+            try {
+                results = await fetchMeaningBlocksBatch(group.wordMaps, group.priority);
+            } catch (err) {
+                if (isBudgetError(err.message)) {
+                    pauseForBudget(err.message);
+                    return;
+                }
+                // Whole request failed (e.g. missing/invalid API key) - report it once
+                if (!requestFailed) {
+                    requestFailed = true;
+                    Logger.error("Position-based translation failed:", err);
+                    showErrorNotification(err.message);
+                }
+                return;
+            }
+
+            // Extension was torn down while the request was in flight
+            if (generation !== documentGeneration) return;
+
+            results.forEach(result => {
+                const wordMap = group.wordMaps.find(w => w.paragraphIndex === result.id);
+                const i = wordMap.paragraphIndex;
+
+                if (!result.success) {
+                    Logger.error("Position-based translation failed:", result.error);
+                    showErrorNotification(result.error);
+                    // Note: Failed translations are NOT counted in cost totals
+                    return;
+                }
+
+                const responseData = result.data;
+                const p = wordMap.paragraphElement;
+                // Words may have been re-rendered while the request was in flight
+                const currentWordMap = wordMap.words.every(w => w.spanElement.isConnected)
+                    ? wordMap
+                    : extractWordMap(p, i);
+                if (p.isConnected) renderParagraphResponse(p, currentWordMap, responseData);
+
+                // Store for caching
+                paragraphsToCache.push({ wordMap: wordMap, responseData: responseData });
+
+                // Output standardized training data for prompt refinement
+                Logger.trainingOutput(wordMap, responseData);
+                Logger.trainingSplits(responseData);
+
+                // Log per-paragraph cost (always active, not tied to debug toggle)
+                // Batched calls report each paragraph's share of the batch usage
+                const originalText = wordMap.words.map(w => w.text).join(' ');
+                const tokenUsage = responseData.tokenUsage || { promptTokens: 0, completionTokens: 0 };
+                logParagraphCost(i + 1, originalText, tokenUsage);
+            });
+        }));
+
+        // Cache the translations
+        if (paragraphsToCache.length > 0) {
+            try {
+                await setCachedTranslations(paragraphsToCache);
+                Logger.log("Cached", paragraphsToCache.length, "paragraph translations");
+            } catch (err) {
+                Logger.warn("Failed to cache translations:", err.message);
+            }
+        }
+
+        // Log running cost summary after this set of paragraphs is processed
+        logTotalCostSummary();
+    } finally {
+        pending.forEach(r => { delete r.paragraph._pending; });
+        if (generation === documentGeneration) {
+            processingCount--;
+            if (processingCount === 0) hideProcessingBanner();
+        }
+    }
+}
+
+async function processParagraphs() {
+    if (hasProcessedInitially) return; // Only set up processing once per page load
+
+    const contentDiv = document.getElementById('preview-content');
+    if (!contentDiv) return;
+
+    const paragraphs = getTranslatableParagraphs();
+    if (paragraphs.length === 0) return;
+
+    hasProcessedInitially = true; // Set immediately - only one initial pass per page load
+
+    if (RUNTIME.lazyProcessing) {
+        // On demand: visible/playing paragraphs plus a look-ahead window
+        startLazyProcessing();
+        return;
+    }
+
+    // Everything up front, with the paragraph being played jumping ahead
+    const playingParagraph = getPlayingParagraph();
+    await processParagraphElements(paragraphs.map(p => ({
+        paragraph: p,
+        priority: p === playingParagraph ? 'high' : 'normal'
+    })));
+    await harmonizeTerminology();
+}
+
+// --- Terminology Consistency ---
+// Paragraphs are translated independently, so the same term can get several
+// renderings across an article. Once paragraphs are processed, the background
+// picks one rendering per recurring term; changed blocks are cached and re-rendered.
+
+/**
+ * Runs the terminology pass over the translated paragraphs of this document.
+ * Outdated cache hits are left alone (re-caching them would hide that they are outdated).
+ */
+async function harmonizeTerminology() {
+    if (terminologyPass) return;
+
+    const generation = documentGeneration;
+    const translated = getTranslatableParagraphs()
+        .map((p, i) => ({ p, i }))
+        .filter(({ p }) => p._fullResponse && p._wordMap && !p._cacheOutdated);
+    if (translated.length < 2) return;
+
+    terminologyPass = new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'HARMONIZE_TERMINOLOGY',
+            article: getCurrentArticle(),
+            known: terminologyRenderings,
+            paragraphs: translated.map(({ p, i }) => ({
+                id: i,
+                blocks: getBlocks(p._fullResponse).map(block => ({
+                    original: block.original,
+                    translation: block.translation,
+                    userEdited: !!block.userEdited
+                }))
+            }))
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (response && response.success) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response?.error || 'Terminology pass failed'));
+            }
+        });
+    });
+
+    try {
+        const result = await terminologyPass;
+        if (generation !== documentGeneration) return;
+
+        Object.assign(terminologyRenderings, result.renderings);
+        if (result.changes.length === 0) return;
+
+        const byId = new Map(translated.map(({ p, i }) => [i, p]));
+        const changed = new Set();
+        result.changes.forEach(change => {
+            const p = byId.get(change.id);
+            const block = p && getBlocks(p._fullResponse)[change.blockIndex];
+            if (!block) return;
+            Logger.debug(`Terminology: "${block.original}" ${block.translation} -> ${change.translation}`);
+            block.translation = change.translation;
+            changed.add(p);
+        });
+
+        Logger.log(`Terminology pass (${result.method || 'earlier choices'}): ${result.changes.length} blocks in ${changed.size} paragraphs harmonized`);
+        if (result.tokenUsage) {
+            const cost = calculateOpenAICost(result.tokenUsage);
+            Logger.log(`Terminology pass cost: ${cost === null ? 'unpriced' : '$' + cost.toFixed(5)}`);
+        }
+
+        try {
+            await setCachedTranslations(Array.from(changed, p => ({ wordMap: p._wordMap, responseData: p._fullResponse })));
+        } catch (err) {
+            Logger.warn("Failed to cache harmonized translations:", err.message);
+        }
+        reRenderAll();
+    } catch (err) {
+        Logger.warn("Terminology pass failed:", err.message);
+    } finally {
+        terminologyPass = null;
+    }
+}
+
+// --- Spending Limits ---
+// Before paragraphs go to the LLM the background estimates their cost; above the
+// reader's threshold they are asked first (once per document). Daily and monthly caps
+// are enforced by the background, which fails requests with 'Budget exceeded'; the
+// document then stays paused until a cap is changed.
+
+/**
+ * Returns true for the background's cap-reached error.
+ * @param {string} message
+ * @returns {boolean}
+ */
+function isBudgetError(message) {
+    return typeof message === 'string' && message.startsWith('Budget exceeded');
+}
+
+/**
+ * Resolves true when these paragraphs may be sent: the estimate is under the
+ * threshold, or the reader confirmed this document. Concurrent passes share one prompt.
+ * @param {Array<object>} wordMaps - Paragraphs about to be sent
+ * @returns {Promise<boolean>}
+ */
+async function confirmEstimatedCost(wordMaps) {
+    if (costApproval !== null) return costApproval;
+    if (!RUNTIME.confirmCostAbove) return true;
+
+    if (!costApprovalPrompt) {
+        costApprovalPrompt = (async () => {
+            let estimate;
+            try {
+                estimate = await estimateCost(wordMaps);
+            } catch (err) {
+                // The caps still apply in the background
+                Logger.warn("Cost estimate failed:", err.message);
+                return true;
+            }
+
+            if (estimate.cost === null) {
+                // Unpriced model: the reader decides without a figure
+                Logger.warn(`No pricing for ${estimate.provider}/${estimate.model} - cannot estimate cost`);
+            } else {
+                Logger.log(`Estimated cost: $${estimate.cost.toFixed(4)} for ${estimate.paragraphs} paragraphs (${estimate.calls} LLM calls)`);
+                if (estimate.cost <= RUNTIME.confirmCostAbove) return true;
+            }
+
+            costApproval = await showCostConfirmation(estimate);
+            Logger.log(costApproval ? "Reader confirmed estimated cost" : "Reader declined estimated cost");
+            return costApproval;
+        })().finally(() => { costApprovalPrompt = null; });
+    }
+    return costApprovalPrompt;
+}
+
+/**
+ * Shows the estimate and waits for the reader's answer.
+ * @param {{ paragraphs: number, words: number, calls: number, model: string, cost: number|null }} estimate
+ * @returns {Promise<boolean>}
+ */
+function showCostConfirmation(estimate) {
+    const existing = document.getElementById('elt-cost-panel');
+    if (existing) existing.remove();
+
+    return new Promise(resolve => {
+        const panel = document.createElement('div');
+        panel.id = 'elt-cost-panel';
+
+        const title = document.createElement('strong');
+        title.textContent = 'Translate this article?';
+        const details = document.createElement('div');
+        details.className = 'elt-cost-details';
+        const costText = estimate.cost === null
+            ? `the cost can't be estimated: ${estimate.model} has no pricing.`
+            : `estimated at $${estimate.cost.toFixed(2)}.`;
+        details.textContent = `${estimate.paragraphs} paragraphs (${estimate.words} words) need about ` +
+            `${estimate.calls} LLM call${estimate.calls === 1 ? '' : 's'}, ${costText}`;
+
+        const answer = approved => {
+            resolveCostConfirmation = null;
+            panel.remove();
+            resolve(approved);
+        };
+        resolveCostConfirmation = answer;
+
+        const actions = document.createElement('div');
+        actions.className = 'elt-cost-actions';
+        const translateBtn = document.createElement('button');
+        translateBtn.textContent = 'Translate';
+        translateBtn.onclick = () => answer(true);
+        const skipBtn = document.createElement('button');
+        skipBtn.className = 'elt-cost-skip';
+        skipBtn.textContent = 'Not now';
+        skipBtn.onclick = () => answer(false);
+        actions.append(translateBtn, skipBtn);
+
+        panel.append(title, details, actions);
+        document.body.appendChild(panel);
+    });
+}
+
+/**
+ * Stops sending paragraphs after a cap was reached and says so until it is changed.
+ * @param {string} message - The background's 'Budget exceeded: ...' error
+ */
+function pauseForBudget(message) {
+    if (budgetPaused) return;
+    budgetPaused = true;
+    stopLazyProcessing();
+    Logger.warn("Processing paused:", message);
+
+    let banner = document.getElementById('elt-budget-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'elt-budget-banner';
+        document.body.appendChild(banner);
+    }
+    banner.textContent = `Translation paused - ${message.replace(/^Budget exceeded: /, '')}. ` +
+        'Raise or remove the cap in the extension popup to continue.';
+}
+
+/**
+ * Resumes processing after the reader changed a cap. If it is still exceeded,
+ * the next request pauses again.
+ */
+function resumeAfterBudgetChange() {
+    if (!budgetPaused) return;
+    budgetPaused = false;
+
+    const banner = document.getElementById('elt-budget-banner');
+    if (banner) banner.remove();
+
+    Logger.log("Spending cap changed, resuming");
+    hasProcessedInitially = false;
+    processParagraphs();
+}
+
+// --- Re-processing Outdated Translations ---
+// Cached paragraphs from another model or prompt are rendered but flagged. When the
+// user asks to re-process (popup), new results are shown next to the old ones and
+// only replace them (and the cache entry) once accepted.
+
+/**
+ * Tells the user, once per document, that some translations are outdated.
+ */
+function notifyOutdatedTranslations() {
+    if (hasNotifiedOutdated) return;
+    hasNotifiedOutdated = true;
+    showNotification(
+        'Outdated Translations',
+        'Some cached translations were made with a different model, prompt or glossary. Use ↻ next to this article in the popup to re-process them.',
+        '#2563eb'
+    );
+}
+
+/**
+ * Fetches new translations for outdated cached paragraphs and queues them for comparison.
+ * @param {HTMLElement[]} paragraphs - Candidates; only outdated, rendered ones are re-processed
+ */
+async function reprocessParagraphs(paragraphs) {
+    const targets = paragraphs.filter(p =>
+        p._cacheOutdated && p._fullResponse && !p._reprocessing && !p._keepOutdated);
+    if (targets.length === 0) return;
+
+    const all = getTranslatableParagraphs();
+    const wordMaps = targets.map(p => extractWordMap(p, all.indexOf(p)));
+    targets.forEach(p => { p._reprocessing = true; });
+
+    const generation = documentGeneration;
+    processingCount++;
+    showProcessingBanner(false);
+    Logger.log("Re-processing", targets.length, "outdated paragraphs");
+
+    try {
+        const groupSize = CONFIG.batching.maxParagraphsPerMessage;
+        const groups = [];
+        for (let start = 0; start < wordMaps.length; start += groupSize) {
+            groups.push(wordMaps.slice(start, start + groupSize));
+        }
+
+        let requestFailed = false;
+        await Promise.all(groups.map(async group => {
+            let results;
+            try {
+                results = await fetchMeaningBlocksBatch(group, 'low');
+            } catch (err) {
+                if (isBudgetError(err.message)) {
+                    pauseForBudget(err.message);
+                    return;
+                }
+                if (!requestFailed) {
+                    requestFailed = true;
+                    Logger.error("Re-processing failed:", err);
+                    showErrorNotification(err.message);
+                }
+                return;
+            }
+            if (generation !== documentGeneration) return;
+
+            results.forEach(result => {
+                const wordMap = group.find(w => w.paragraphIndex === result.id);
+                if (!result.success) {
+                    Logger.error("Re-processing failed:", result.error);
+                    return;
+                }
+
+                const originalText = wordMap.words.map(w => w.text).join(' ');
+                const tokenUsage = result.data.tokenUsage || { promptTokens: 0, completionTokens: 0 };
+                logParagraphCost(wordMap.paragraphIndex + 1, originalText, tokenUsage);
+
+                addComparison({
+                    paragraph: wordMap.paragraphElement,
+                    wordMap: wordMap,
+                    oldResponse: wordMap.paragraphElement._fullResponse,
+                    newResponse: result.data,
+                    origin: wordMap.paragraphElement._cacheOrigin
+                });
+            });
+        }));
+
+        logTotalCostSummary();
+    } finally {
+        targets.forEach(p => { delete p._reprocessing; });
+        if (generation === documentGeneration) {
+            processingCount--;
+            if (processingCount === 0) hideProcessingBanner();
+        }
+    }
+}
+
+/**
+ * Formats a cache entry origin, e.g. "openai / gpt-4o-mini, prompt 1.1".
+ * @param {object} origin
+ * @returns {string}
+ */
+function formatCacheOrigin(origin) {
+    if (!origin) return 'unknown model';
+    return `${origin.provider} / ${origin.model}, prompt ${origin.promptVersion}`;
+}
+
+/**
+ * Builds one column of a comparison: the blocks as "original → translation" lines.
+ * @param {string} label
+ * @param {object} responseData
+ * @returns {HTMLElement}
+ */
+function buildComparisonColumn(label, responseData) {
+    const column = document.createElement('div');
+    column.className = 'elt-compare-column';
+
+    const heading = document.createElement('div');
+    heading.className = 'elt-compare-column-label';
+    heading.textContent = label;
+    column.appendChild(heading);
+
+    getBlocks(responseData).forEach(block => {
+        const line = document.createElement('div');
+        line.className = 'elt-compare-block';
+        line.textContent = `${block.original} → ${block.translation}`;
+        column.appendChild(line);
+    });
+
+    return column;
+}
+
+function addComparison(comparison) {
+    pendingComparisons.push(comparison);
+    renderComparisonPanel();
+}
+
+/**
+ * Shows pending old/new comparisons in a panel, each with "Use new" / "Keep old".
+ */
+function renderComparisonPanel() {
+    let panel = document.getElementById('elt-compare-panel');
+
+    if (pendingComparisons.length === 0) {
+        if (panel) panel.remove();
+        return;
+    }
+
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'elt-compare-panel';
+        document.body.appendChild(panel);
+    }
+    panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'elt-compare-header';
+    const title = document.createElement('strong');
+    title.textContent = `Re-processed translations (${pendingComparisons.length})`;
+    const useAllBtn = document.createElement('button');
+    useAllBtn.textContent = 'Use all new';
+    useAllBtn.onclick = () => resolveComparisons(pendingComparisons.slice(), true);
+    const keepAllBtn = document.createElement('button');
+    keepAllBtn.textContent = 'Keep all old';
+    keepAllBtn.onclick = () => resolveComparisons(pendingComparisons.slice(), false);
+    header.append(title, useAllBtn, keepAllBtn);
+    panel.appendChild(header);
+
+    pendingComparisons.forEach(comparison => {
+        const item = document.createElement('div');
+        item.className = 'elt-compare-item';
+
+        const label = document.createElement('div');
+        label.className = 'elt-compare-item-label';
+        label.textContent = `Paragraph ${comparison.wordMap.paragraphIndex + 1}`;
+        label.onclick = () => comparison.paragraph.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        const columns = document.createElement('div');
+        columns.className = 'elt-compare-columns';
+        columns.append(
+            buildComparisonColumn(`Old (${formatCacheOrigin(comparison.origin)})`, comparison.oldResponse),
+            buildComparisonColumn('New (current model)', comparison.newResponse)
+        );
+
+        const actions = document.createElement('div');
+        actions.className = 'elt-compare-actions';
+        const useBtn = document.createElement('button');
+        useBtn.textContent = 'Use new';
+        useBtn.onclick = () => resolveComparisons([comparison], true);
+        const keepBtn = document.createElement('button');
+        keepBtn.textContent = 'Keep old';
+        keepBtn.onclick = () => resolveComparisons([comparison], false);
+        actions.append(useBtn, keepBtn);
+
+        item.append(label, columns, actions);
+        panel.appendChild(item);
+    });
+}
+
+/**
+ * Applies the user's choice: new results replace the old rendering and cache entry;
+ * kept old results are not offered again for this document.
+ * @param {Array<object>} comparisons
+ * @param {boolean} useNew
+ */
+async function resolveComparisons(comparisons, useNew) {
+    pendingComparisons = pendingComparisons.filter(c => !comparisons.includes(c));
+    renderComparisonPanel();
+
+    const accepted = [];
+    comparisons.forEach(({ paragraph, wordMap, newResponse }) => {
+        if (!useNew) {
+            paragraph._keepOutdated = true;
+            return;
+        }
+        if (!paragraph.isConnected) return;
+
+        const currentWordMap = wordMap.words.every(w => w.spanElement.isConnected)
+            ? wordMap
+            : extractWordMap(paragraph, wordMap.paragraphIndex);
+        renderParagraphResponse(paragraph, currentWordMap, newResponse);
+        paragraph._cacheOutdated = false;
+        delete paragraph._cacheOrigin;
+        Logger.trainingOutput(wordMap, newResponse);
+        accepted.push({ wordMap: wordMap, responseData: newResponse });
+    });
+
+    if (accepted.length > 0) {
+        try {
+            await setCachedTranslations(accepted);
+            Logger.log("Replaced", accepted.length, "outdated cached translations");
+        } catch (err) {
+            Logger.warn("Failed to cache translations:", err.message);
+        }
+    }
+}
+
+// --- Translation Editing ---
+// Clicking a translation opens an editor for that block. Edits are saved by the
+// background as overrides layered over the cached model result, so they survive
+// re-processing and clearing the cache; edited blocks are marked on the page.
+
+/**
+ * Saves or removes the user's translation of a block.
+ * @param {object} wordMap - Word map of the block's paragraph
+ * @param {{ start_c: number, end_c: number }} block
+ * @param {string|null} translation - null restores the model's translation
+ * @returns {Promise<void>}
+ */
+async function saveTranslationOverride(wordMap, block, translation) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'SET_TRANSLATION_OVERRIDE',
+            words: wordMap.words.map(w => ({ c: w.c, text: w.text })),
+            block: { start_c: block.start_c, end_c: block.end_c },
+            translation: translation
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (response && response.success) {
+                resolve();
+            } else {
+                reject(new Error(response?.error || 'Failed to save translation'));
+            }
+        });
+    });
+}
+
+/**
+ * Opens the editor for one block's translation, over the clicked translation pill.
+ * @param {object} overlayData - Entry of activeOverlays (with block and paragraph)
+ * @param {HTMLElement} anchor - The clicked translation pill
+ */
+function openTranslationEditor(overlayData, anchor) {
+    closeTranslationEditor();
+
+    const { block, paragraph } = overlayData;
+    const rect = anchor.getBoundingClientRect();
+
+    const editor = document.createElement('div');
+    editor.id = 'elt-translation-editor';
+    editor.style.top = `${rect.top}px`;
+    editor.style.left = `${Math.max(8, rect.left)}px`;
+
+    const label = document.createElement('div');
+    label.className = 'elt-editor-original';
+    label.textContent = block.original;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = block.translation || '';
+
+    const actions = document.createElement('div');
+    actions.className = 'elt-editor-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'elt-editor-secondary';
+    cancelBtn.textContent = 'Cancel';
+    actions.append(saveBtn, cancelBtn);
+
+    if (block.userEdited) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'elt-editor-secondary';
+        restoreBtn.textContent = 'Restore original';
+        restoreBtn.title = block.modelTranslation || '';
+        restoreBtn.onclick = () => applyTranslationEdit(paragraph, block, null);
+        actions.append(restoreBtn);
+    }
+
+    const save = () => {
+        const value = input.value.trim();
+        if (!value || value === block.translation) {
+            closeTranslationEditor();
+            return;
+        }
+        applyTranslationEdit(paragraph, block, value);
+    };
+    saveBtn.onclick = save;
+    cancelBtn.onclick = closeTranslationEditor;
+    input.addEventListener('keydown', (e) => {
+        // Keep the reader's shortcuts (/, arrows, space) out of the input
+        e.stopPropagation();
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') closeTranslationEditor();
+    });
+
+    editor.append(label, input, actions);
+    document.body.appendChild(editor);
+    input.focus();
+    input.select();
+}
+
+function closeTranslationEditor() {
+    const editor = document.getElementById('elt-translation-editor');
+    if (editor) editor.remove();
+}
+
+/**
+ * Applies an edit to the paragraph's blocks, re-renders it and saves the override.
+ * @param {HTMLElement} p - The paragraph element
+ * @param {object} block - Block of p._fullResponse being edited
+ * @param {string|null} translation - New translation, or null to restore the model's
+ */
+async function applyTranslationEdit(p, block, translation) {
+    closeTranslationEditor();
+    if (!p._fullResponse || !p._wordMap) return;
+
+    if (translation === null) {
+        block.translation = block.modelTranslation;
+        delete block.modelTranslation;
+        delete block.userEdited;
+    } else {
+        if (!block.userEdited) block.modelTranslation = block.translation;
+        block.translation = translation;
+        block.userEdited = true;
+    }
+    renderParagraphResponse(p, p._wordMap, p._fullResponse);
+
+    try {
+        await saveTranslationOverride(p._wordMap, block, translation);
+        Logger.log(translation === null
+            ? `Restored model translation of "${block.original}"`
+            : `Saved your translation of "${block.original}": ${translation}`);
+    } catch (err) {
+        Logger.error("Failed to save translation:", err);
+        showErrorNotification('Could not save your translation: ' + err.message);
+    }
+}
+
+// --- Boundary Editing ---
+// "B" toggles an edit mode for block boundaries. Clicking a word (span[c]) splits
+// its block before that word; clicking the first word of a block merges it into
+// the previous one. Edits are kept as drafts per paragraph until applied: then
+// the changed blocks are translated by the background, and the corrected
+// segmentation is rendered and written to the cache.
+
+/**
+ * Starts boundary editing: underlines mark the blocks and word clicks edit them.
+ */
+function startBoundaryEditing() {
+    if (boundaryDrafts) return;
+    closeTranslationEditor();
+    boundaryDrafts = new Map();
+    document.body.classList.add('elt-boundary-editing');
+
+    boundaryClickHandler = handleBoundaryClick;
+    // Capture phase, so the click doesn't also seek playback to the word
+    document.addEventListener('click', boundaryClickHandler, true);
+
+    const bar = document.createElement('div');
+    bar.id = 'elt-boundary-bar';
+    const text = document.createElement('span');
+    text.className = 'elt-boundary-text';
+    const applyBtn = document.createElement('button');
+    applyBtn.textContent = 'Apply';
+    applyBtn.onclick = () => applyBoundaryEdits();
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'elt-boundary-secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => stopBoundaryEditing(true);
+    bar.append(text, applyBtn, cancelBtn);
+    document.body.appendChild(bar);
+    updateBoundaryBar();
+
+    Logger.log("Boundary editing started");
+}
+
+/**
+ * Ends boundary editing, dropping the drafts.
+ * @param {boolean} restore - Render the drafted paragraphs as they were before
+ */
+function stopBoundaryEditing(restore) {
+    if (!boundaryDrafts) return;
+    if (restore) {
+        boundaryDrafts.forEach((draft, p) => {
+            if (p.isConnected && p._fullResponse) renderParagraphResponse(p, p._wordMap, p._fullResponse);
+        });
+    }
+    boundaryDrafts = null;
+
+    if (boundaryClickHandler) {
+        document.removeEventListener('click', boundaryClickHandler, true);
+        boundaryClickHandler = null;
+    }
+    document.body.classList.remove('elt-boundary-editing');
+    const bar = document.getElementById('elt-boundary-bar');
+    if (bar) bar.remove();
+
+    Logger.log("Boundary editing stopped");
 }
 
-function injectToggleButton() {
-    if (document.getElementById('elevenlabs-translator-toggle')) return;
+function updateBoundaryBar() {
+    const bar = document.getElementById('elt-boundary-bar');
+    if (!bar) return;
+    const count = boundaryDrafts.size;
+    bar.querySelector('.elt-boundary-text').textContent = count === 0
+        ? 'Editing blocks: click a word to split its block there, or the first word of a block to merge it with the previous one.'
+        : `Editing blocks: ${count} paragraph${count === 1 ? '' : 's'} changed. Apply (Enter) translates the changed blocks; Cancel (Esc) discards them.`;
+}
 
-    const btn = document.createElement('button');
-    btn.id = 'elevenlabs-translator-toggle';
-    btn.innerHTML = '\u6587';
-    btn.title = "Press and hold \"/\" key";
+/**
+ * Splits or merges at the clicked word.
+ * @param {MouseEvent} e
+ */
+function handleBoundaryClick(e) {
+    const span = e.target.closest && e.target.closest('span[c]');
+    if (!span) return;
+    const p = span.closest(CONFIG.selectors.translatable);
+    if (!p || !p._fullResponse || !p._wordMap) return;
 
-    const show = () => setTranslationsVisibility(true);
-    const hide = () => setTranslationsVisibility(false);
+    e.preventDefault();
+    e.stopPropagation();
 
-    btn.addEventListener('mousedown', show);
-    btn.addEventListener('mouseup', hide);
-    btn.addEventListener('mouseleave', hide);
-    btn.addEventListener('touchstart', (e) => { e.preventDefault(); show(); });
-    btn.addEventListener('touchend', hide);
+    const words = p._wordMap.words;
+    const index = words.findIndex(word => word.spanElement === span);
+    if (index === -1) return;
 
-    document.body.appendChild(btn);
+    if (!boundaryDrafts.has(p)) {
+        boundaryDrafts.set(p, getBlocks(p._fullResponse).map(block => ({ ...block })));
+    }
+    const blocks = editBlockBoundary(boundaryDrafts.get(p), words, index);
+    if (!blocks) return;
+
+    boundaryDrafts.set(p, blocks);
+    renderSegmentations(p, mapSegmentsToSpans(p._wordMap, blocks));
+    updateBoundaryBar();
 }
 
-let translationsVisible = false;
-function setTranslationsVisibility(visible) {
-    translationsVisible = visible;
-    // Handle both legacy single overlays and new multi-line containers
-    const overlays = document.querySelectorAll('.translation-overlay, .translation-overlay-container');
-    overlays.forEach(el => {
-        if (visible) el.classList.add('translation-visible');
-        else el.classList.remove('translation-visible');
+/**
+ * Splits the block containing a word before it, or merges the word's block into
+ * the previous one if the word starts it. Changed blocks lose their translation.
+ * @param {Array<object>} blocks - Blocks of the paragraph, in order
+ * @param {Array<{c: number, text: string}>} words - The paragraph's words
+ * @param {number} index - Index of the clicked word
+ * @returns {Array<object>|null} New blocks, or null if nothing changes
+ */
+function editBlockBoundary(blocks, words, index) {
+    const c = words[index].c;
+    const position = blocks.findIndex(block => block.start_c <= c && c <= block.end_c);
+    if (position === -1) return null;
+
+    const wordText = (startC, endC) => words
+        .filter(word => word.c >= startC && word.c <= endC)
+        .map(word => word.text)
+        .join(' ');
+    const changedBlock = (startC, endC) => ({
+        start_c: startC,
+        end_c: endC,
+        original: wordText(startC, endC),
+        translation: '…',
+        changed: true
     });
-    // Also show/hide underlines with translations
-    if (visible) {
-        document.body.classList.add('elt-translations-visible');
-    } else {
-        document.body.classList.remove('elt-translations-visible');
+
+    const block = blocks[position];
+    if (block.start_c === c) {
+        // The first block has nothing to merge into
+        if (position === 0) return null;
+        const previous = blocks[position - 1];
+        return [
+            ...blocks.slice(0, position - 1),
+            changedBlock(previous.start_c, block.end_c),
+            ...blocks.slice(position + 1)
+        ];
     }
+    return [
+        ...blocks.slice(0, position),
+        changedBlock(block.start_c, words[index - 1].c),
+        changedBlock(c, block.end_c),
+        ...blocks.slice(position + 1)
+    ];
 }
 
-// --- Main Logic ---
+/**
+ * Asks the background to translate a paragraph's changed blocks.
+ * @param {object} wordMap - Word map of the paragraph
+ * @param {Array<object>} blocks - Edited blocks (changed ones flagged)
+ * @returns {Promise<object>} The new responseData
+ */
+async function resegmentParagraph(wordMap, blocks) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'RESEGMENT_PARAGRAPH',
+            article: getCurrentArticle(),
+            words: wordMap.words.map(w => ({ c: w.c, text: w.text })),
+            blocks: blocks.map(({ changed, ...block }) => (changed ? { ...block, translation: null } : block))
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (response && response.success) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response?.error || 'Failed to re-segment paragraph'));
+            }
+        });
+    });
+}
 
 /**
- * Shows a temporary error notification to the user.
- * @param {string} message - Error message to display
+ * Translates and renders every edited paragraph, caches the results and ends
+ * boundary editing. Paragraphs that fail keep their previous segmentation.
  */
-function showErrorNotification(message) {
-    // Remove existing notification if any
-    const existing = document.getElementById('elevenlabs-error-notification');
-    if (existing) existing.remove();
+async function applyBoundaryEdits() {
+    const drafts = Array.from(boundaryDrafts.entries())
+        .filter(([, blocks]) => blocks.some(block => block.changed));
+    stopBoundaryEditing(false);
+    if (drafts.length === 0) return;
+
+    const generation = documentGeneration;
+    processingCount++;
+    showProcessingBanner(false);
+    const paragraphsToCache = [];
+    try {
+        await Promise.all(drafts.map(async ([p, blocks]) => {
+            try {
+                const responseData = await resegmentParagraph(p._wordMap, blocks);
+                if (generation !== documentGeneration) return;
+                renderParagraphResponse(p, p._wordMap, responseData);
+                paragraphsToCache.push({ wordMap: p._wordMap, responseData: responseData });
 
-    const notification = document.createElement('div');
-    notification.id = 'elevenlabs-error-notification';
-    notification.style.cssText = `
-        position: fixed;
-        bottom: 20px;
-        right: 20px;
-        max-width: 350px;
-        padding: 15px 20px;
-        background: #f44336;
-        color: white;
-        border-radius: 8px;
-        font-family: sans-serif;
-        font-size: 14px;
-        z-index: 10001;
-        box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-        cursor: pointer;
-    `;
+                const originalText = p._wordMap.words.map(w => w.text).join(' ');
+                logParagraphCost(p._wordMap.paragraphIndex + 1, originalText, responseData.tokenUsage);
+            } catch (err) {
+                Logger.error("Re-segmenting failed:", err);
+                showErrorNotification('Could not apply your block edits: ' + err.message);
+                if (p.isConnected && p._fullResponse) renderParagraphResponse(p, p._wordMap, p._fullResponse);
+            }
+        }));
 
-    notification.innerHTML = `
-        <strong>Translation Error</strong><br>
-        <span style="font-size: 12px;">${message}</span>
-        <div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">Click to dismiss</div>
-    `;
+        if (paragraphsToCache.length > 0) {
+            try {
+                await setCachedTranslations(paragraphsToCache);
+                Logger.log("Cached", paragraphsToCache.length, "re-segmented paragraphs");
+            } catch (err) {
+                Logger.warn("Failed to cache translations:", err.message);
+            }
+        }
+    } finally {
+        if (generation === documentGeneration) {
+            processingCount--;
+            if (processingCount === 0) hideProcessingBanner();
+        }
+    }
+}
 
-    notification.onclick = () => notification.remove();
+// --- Lazy (On-Demand) Processing ---
+// Only the paragraphs being read or listened to (plus a look-ahead window) are processed
 
-    // Auto-remove after 10 seconds
-    setTimeout(() => {
-        if (notification.parentNode) notification.remove();
-    }, 10000);
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
 
-    document.body.appendChild(notification);
-}
+/**
+ * Starts observing paragraph visibility and playback position.
+ */
+function startLazyProcessing() {
+    stopLazyProcessing();
 
-async function processParagraphs() {
-    if (hasProcessedInitially) return; // Only process once per page load
-    if (isProcessing) return;
+    lazyObserver = new IntersectionObserver(handleLazyIntersections, {
+        rootMargin: CONFIG.lazy.rootMargin
+    });
+    getTranslatableParagraphs().forEach(p => lazyObserver.observe(p));
 
-    const contentDiv = document.getElementById('preview-content');
-    if (!contentDiv) return;
+    playbackPollTimer = setInterval(checkPlaybackParagraph, CONFIG.lazy.playbackPollMs);
+    checkPlaybackParagraph();
 
-    const paragraphs = Array.from(contentDiv.querySelectorAll(CONFIG.selectors.translatable));
-    let unprocessed = paragraphs
-        .filter(p => !p._fullResponse && p.textContent.trim().length > 0);
+    Logger.log("Lazy processing started (look-ahead:", RUNTIME.lazyLookAhead, "paragraphs)");
+}
 
-    // Apply single paragraph limit if enabled (debug feature to save API calls)
-    if (RUNTIME.limitSingleParagraph) {
-        unprocessed = unprocessed.slice(0, 1);
+/**
+ * Stops lazy processing and drops any requests not yet sent.
+ */
+function stopLazyProcessing() {
+    if (lazyObserver) {
+        lazyObserver.disconnect();
+        lazyObserver = null;
     }
+    if (playbackPollTimer) {
+        clearInterval(playbackPollTimer);
+        playbackPollTimer = null;
+    }
+    if (lazyFlushTimer) {
+        clearTimeout(lazyFlushTimer);
+        lazyFlushTimer = null;
+    }
+    lazyRequests.clear();
+    lastPlayingParagraph = null;
+}
 
-    if (unprocessed.length === 0) return;
-
-    hasProcessedInitially = true; // Set immediately - only one LLM call attempt per page load
-    isProcessing = true;
+function handleLazyIntersections(entries) {
+    entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        if (entry.target._fullResponse) {
+            lazyObserver.unobserve(entry.target);
+            return;
+        }
+        requestWithLookAhead(entry.target, 'normal');
+    });
+}
 
-    // Check cache first
-    let cachedData = null;
-    try {
-        cachedData = await getCachedTranslations();
-    } catch (err) {
-        Logger.debug("Cache check failed:", err.message);
+/**
+ * Polls the playback position; when audio moves into a new paragraph it jumps the queue.
+ */
+function checkPlaybackParagraph() {
+    const playingParagraph = getPlayingParagraph();
+    if (playingParagraph && playingParagraph !== lastPlayingParagraph) {
+        lastPlayingParagraph = playingParagraph;
+        requestWithLookAhead(playingParagraph, 'high');
     }
+}
 
-    if (cachedData && cachedData.paragraphs && cachedData.paragraphs.length > 0) {
-        // Use cached translations
-        isUsingCachedTranslations = true;
-        showProcessingBanner(true); // Show "Loading cached translations..."
-        Logger.log("Using cached translations from", new Date(cachedData.timestamp).toLocaleString());
+/**
+ * Requests a paragraph plus the next RUNTIME.lazyLookAhead paragraphs (at low priority).
+ * @param {HTMLElement} paragraph
+ * @param {'high'|'normal'} priority - Priority for the paragraph itself
+ */
+function requestWithLookAhead(paragraph, priority) {
+    const paragraphs = getTranslatableParagraphs();
+    const index = paragraphs.indexOf(paragraph);
+    if (index === -1) return;
+
+    queueLazyRequest(paragraph, priority);
+    paragraphs
+        .slice(index + 1, index + 1 + RUNTIME.lazyLookAhead)
+        .forEach(p => queueLazyRequest(p, 'low'));
+}
 
-        for (let i = 0; i < unprocessed.length && i < cachedData.paragraphs.length; i++) {
-            const p = unprocessed[i];
-            const cached = cachedData.paragraphs[i];
+/**
+ * Queues a paragraph, keeping its highest requested priority. Requests arriving
+ * within CONFIG.lazy.flushDelayMs are sent together so they can be batched.
+ */
+function queueLazyRequest(paragraph, priority) {
+    if (paragraph._fullResponse || paragraph._pending) return;
 
-            if (!cached || !cached.responseData) continue;
+    const existing = lazyRequests.get(paragraph);
+    if (!existing || PRIORITY_RANK[priority] < PRIORITY_RANK[existing]) {
+        lazyRequests.set(paragraph, priority);
+    }
 
-            // Rebuild word map for this paragraph
-            const wordMap = extractWordMap(p, i);
+    if (!lazyFlushTimer) {
+        lazyFlushTimer = setTimeout(flushLazyRequests, CONFIG.lazy.flushDelayMs);
+    }
+}
 
-            if (wordMap.words.length > 0) {
-                p._fullResponse = cached.responseData;
-                p._wordMap = wordMap;
+function flushLazyRequests() {
+    lazyFlushTimer = null;
+    const requests = Array.from(lazyRequests, ([paragraph, priority]) => ({ paragraph, priority }));
+    lazyRequests.clear();
+    processParagraphElements(requests).then(harmonizeTerminology);
+}
 
-                const blocks = getBlocks(cached.responseData);
-                const mapped = mapSegmentsToSpans(wordMap, blocks);
+// --- Content Observer ---
+// ElevenReader renders some paragraphs after the first load (virtualized chapters,
+// "load more", in-app navigation) and React may replace or remove existing ones
 
-                if (mapped.length > 0) {
-                    renderSegmentations(p, mapped);
-                    enableToggleButtonIfReady();
-                }
+/**
+ * Returns true for nodes the extension itself adds to #preview-content.
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isExtensionNode(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !!element && !!element.closest(
+        '.translation-overlay-container, .elt-underline-container, .elt-hover-zone-container');
+}
 
-                Logger.debug(`Loaded cached paragraph ${i + 1}: ${blocks.length} blocks`);
-            }
-        }
+/**
+ * Starts watching #preview-content for added, replaced and removed paragraphs.
+ */
+function startContentObserver() {
+    stopContentObserver();
 
-        Logger.log("Loaded", Math.min(unprocessed.length, cachedData.paragraphs.length), "paragraphs from cache");
-    } else {
-        // Fetch fresh translations
-        isUsingCachedTranslations = false;
-        showProcessingBanner(false); // Show "Processing..."
+    const contentDiv = document.getElementById('preview-content');
+    if (!contentDiv) return;
 
-        const paragraphsToCache = [];
+    contentObserver = new MutationObserver(handleContentMutations);
+    contentObserver.observe(contentDiv, { childList: true, subtree: true });
+    observedContentDiv = contentDiv;
+}
 
-        // Process paragraphs sequentially (one LLM call at a time)
-        for (let i = 0; i < unprocessed.length; i++) {
-            const p = unprocessed[i];
+function stopContentObserver() {
+    if (contentObserver) {
+        contentObserver.disconnect();
+        contentObserver = null;
+    }
+    observedContentDiv = null;
+    if (contentChangeTimer) {
+        clearTimeout(contentChangeTimer);
+        contentChangeTimer = null;
+    }
+    changedParagraphs.clear();
+    hasRemovedContent = false;
+}
 
-            // Try position-based mapping first (using c attributes)
-            const wordMap = extractWordMap(p, i);
+/**
+ * Collects changed paragraphs from a batch of mutations; handled after a short debounce.
+ * @param {MutationRecord[]} mutations
+ */
+function handleContentMutations(mutations) {
+    for (const mutation of mutations) {
+        if (isExtensionNode(mutation.target)) continue;
+
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE || isExtensionNode(node)) return;
+            if (node.matches(CONFIG.selectors.translatable)) changedParagraphs.add(node);
+            node.querySelectorAll(CONFIG.selectors.translatable).forEach(p => changedParagraphs.add(p));
+        });
 
-            if (wordMap.words.length > 0) {
-                // Use position-based flow
-                Logger.debug(`Processing paragraph ${i + 1}/${unprocessed.length} with position-based mapping (${wordMap.words.length} words)`);
+        if (Array.from(mutation.removedNodes).some(node => !isExtensionNode(node))) {
+            hasRemovedContent = true;
+        }
 
-                try {
-                    const responseData = await fetchMeaningBlocks(wordMap);
-                    p._fullResponse = responseData;
-                    p._wordMap = wordMap; // Store word map for re-rendering
+        // Words replaced inside an existing paragraph
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE
+            ? mutation.target
+            : mutation.target.parentElement;
+        const paragraph = target && target.closest(CONFIG.selectors.translatable);
+        if (paragraph) changedParagraphs.add(paragraph);
+    }
 
-                    // Store for caching
-                    paragraphsToCache.push({
-                        index: i,
-                        responseData: responseData
-                    });
+    if ((changedParagraphs.size > 0 || hasRemovedContent) && !contentChangeTimer) {
+        contentChangeTimer = setTimeout(processContentChanges, CONFIG.timing.contentChangeDebounce);
+    }
+}
 
-                    const blocks = getBlocks(responseData);
+/**
+ * Removes overlays whose words are no longer in the document.
+ */
+function removeDetachedOverlays() {
+    const before = activeOverlays.length;
+    activeOverlays = activeOverlays.filter(item => {
+        if (item.spans.length === 0 || item.spans.every(span => span.isConnected)) return true;
+        if (item.overlayElement) item.overlayElement.remove();
+        if (item.underlineElement) item.underlineElement.remove();
+        if (item.hoverZoneElement) item.hoverZoneElement.remove();
+        if (currentlyHoveredBlock === item) currentlyHoveredBlock = null;
+        return false;
+    });
 
-                    Logger.debug("Meaning blocks processing", {
-                        wordCount: wordMap.words.length,
-                        blockCount: blocks.length,
-                        firstBlock: blocks[0] ? `c:${blocks[0].start_c}-${blocks[0].end_c}: "${blocks[0].original}"` : 'none'
-                    });
+    if (activeOverlays.length < before) {
+        Logger.debug("Removed", before - activeOverlays.length, "overlays for removed content");
+    }
+}
 
-                    const mapped = mapSegmentsToSpans(wordMap, blocks);
+/**
+ * Handles the paragraphs collected by handleContentMutations: overlays of removed
+ * or replaced words are cleaned up, and new or replaced paragraphs are queued for
+ * cache lookup / segmentation (through the viewport observer in lazy mode).
+ */
+function processContentChanges() {
+    contentChangeTimer = null;
+    if (!isExtensionActive) return;
 
-                    Logger.debug("Mapping result:", mapped.length, "blocks mapped");
+    const changed = Array.from(changedParagraphs);
+    changedParagraphs.clear();
 
-                    if (mapped.length > 0) {
-                        renderSegmentations(p, mapped);
-                        // Enable toggle button as soon as first paragraph has translations
-                        enableToggleButtonIfReady();
-                    } else if (blocks.length > 0) {
-                        Logger.warn("No blocks mapped - check c values match between API response and DOM");
-                    }
+    if (hasRemovedContent) {
+        hasRemovedContent = false;
+        removeDetachedOverlays();
+    }
 
-                    // Output standardized training data for prompt refinement
-                    Logger.trainingOutput(wordMap, responseData);
+    // Nothing was translatable at first load - this is the initial pass
+    if (!hasProcessedInitially) {
+        processParagraphs();
+        return;
+    }
 
-                    // Log per-paragraph cost (always active, not tied to debug toggle)
-                    const originalText = wordMap.words.map(w => w.text).join(' ');
-                    const tokenUsage = responseData.tokenUsage || { promptTokens: 0, completionTokens: 0 };
-                    logParagraphCost(i + 1, originalText, tokenUsage.promptTokens, tokenUsage.completionTokens);
+    const paragraphs = getTranslatableParagraphs();
+    const queued = [];
+    changed.forEach(p => {
+        if (!p.isConnected || !paragraphs.includes(p)) return;
 
-                } catch (err) {
-                    Logger.error("Position-based translation failed:", err);
-                    showErrorNotification(err.message);
-                    // Note: Failed translations are NOT counted in cost totals
-                    // Store null for failed paragraphs to maintain index alignment
-                    paragraphsToCache.push({
-                        index: i,
-                        responseData: null
-                    });
-                }
-            } else {
-                // Only position-based partitioning is supported
-                Logger.warn(`Paragraph ${i}: skipping - no word map available for meaning blocks`);
-                paragraphsToCache.push({
-                    index: i,
-                    responseData: null
-                });
-            }
+        // Same element, new words: drop the stale translation and process it again
+        if (p._fullResponse && p._wordMap && !p._wordMap.words.every(w => w.spanElement.isConnected)) {
+            clearOverlays(p);
+            delete p._fullResponse;
+            delete p._wordMap;
         }
 
-        // Cache the translations
-        if (paragraphsToCache.some(p => p.responseData !== null)) {
-            try {
-                await setCachedTranslations(paragraphsToCache);
-                Logger.log("Cached", paragraphsToCache.filter(p => p.responseData !== null).length, "paragraph translations");
-            } catch (err) {
-                Logger.warn("Failed to cache translations:", err.message);
-            }
-        }
+        if (!p._fullResponse && !p._pending) queued.push(p);
+    });
 
-        // Log total cost summary after all paragraphs are processed
-        logTotalCostSummary();
+    if (queued.length > 0) {
+        Logger.log("Found", queued.length, "new or replaced paragraphs");
+
+        if (RUNTIME.lazyProcessing && lazyObserver) {
+            queued.forEach(p => lazyObserver.observe(p));
+        } else {
+            processParagraphElements(queued.map(p => ({ paragraph: p, priority: 'normal' })));
+        }
     }
 
-    isProcessing = false;
-    hideProcessingBanner();
+    requestAnimationFrame(updateOverlayPositions);
 }
 
 /**
@@ -1176,10 +2519,13 @@ function updateHighlightingVisibility(partitioningEnabled) {
 }
 
 function init() {
-    chrome.storage.sync.get(['enabled', 'partitioningEnabled', 'individualTranslations', 'limitSingleParagraph', 'debugLogging'], (result) => {
+    chrome.storage.sync.get(['enabled', 'partitioningEnabled', 'individualTranslations', 'limitSingleParagraph', 'lazyProcessing', 'lazyLookAhead', 'confirmCostAbove', 'debugLogging'], (result) => {
         if (result.enabled === false) return;
         RUNTIME.individualTranslations = result.individualTranslations !== false; // Default true
         RUNTIME.limitSingleParagraph = result.limitSingleParagraph === true; // Default false (process all paragraphs)
+        RUNTIME.lazyProcessing = result.lazyProcessing === true; // Default false (process everything up front)
+        RUNTIME.lazyLookAhead = result.lazyLookAhead ?? CONFIG.defaults.lazyLookAhead;
+        RUNTIME.confirmCostAbove = result.confirmCostAbove ?? CONFIG.defaults.confirmCostAbove;
         Logger._enabled = result.debugLogging === true; // Default false
 
         const contentDiv = document.getElementById('preview-content');
@@ -1202,8 +2548,9 @@ function init() {
         // Mark as active
         isExtensionActive = true;
 
-        // Initial process
+        // Initial process, then watch for paragraphs rendered later
         processParagraphs();
+        startContentObserver();
     });
 }
 
@@ -1290,6 +2637,18 @@ function getCurrentPlaybackPosition() {
     return -1;
 }
 
+/**
+ * Get the translatable element containing the word currently being played
+ * @returns {HTMLElement|null}
+ */
+function getPlayingParagraph() {
+    const position = getCurrentPlaybackPosition();
+    if (position < 0) return null;
+
+    const span = document.querySelector(`#preview-content span[c="${position}"]`);
+    return span ? span.closest(CONFIG.selectors.translatable) : null;
+}
+
 /**
  * Find which block index contains or is nearest to a position
  */
@@ -1681,6 +3040,20 @@ function handleKeydown(e) {
     );
     if (isTyping) return;
 
+    // "B": Toggle boundary editing; Enter applies the edits, Escape discards them
+    if (e.code === 'KeyB' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        if (boundaryDrafts) applyBoundaryEdits();
+        else startBoundaryEditing();
+        return;
+    }
+    if (boundaryDrafts && (e.key === 'Enter' || e.key === 'Escape')) {
+        e.preventDefault();
+        if (e.key === 'Enter') applyBoundaryEdits();
+        else stopBoundaryEditing(true);
+        return;
+    }
+
     // "/" key: Show translations (same as holding the 文 button)
     if (e.key === '/') {
         e.preventDefault();
@@ -1783,13 +3156,24 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
             const isEnabled = changes.enabled.newValue !== false;
             Logger.log("enabled changed:", isEnabled);
             if (isEnabled) {
-                reinitialize();
+                if (document.getElementById('preview-content')) {
+                    reinitialize();
+                } else {
+                    awaitingDocument = true; // Initialize when a document is opened
+                }
             } else {
+                awaitingDocument = false;
                 teardown();
             }
         }
         // Only process other changes if extension is active
         if (isExtensionActive) {
+            if (changes.sourceLanguage || changes.targetLanguage) {
+                // Translations are cached per language pair - rebuild for the new pair
+                Logger.log("Language pair changed, re-processing");
+                teardown();
+                reinitialize();
+            }
             if (changes.partitioningEnabled) {
                 Logger.log("partitioningEnabled changed:", changes.partitioningEnabled.newValue);
                 updateHighlightingVisibility(changes.partitioningEnabled.newValue);
@@ -1801,6 +3185,23 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
                 Logger.log("individualTranslations changed:", changes.individualTranslations.newValue);
                 RUNTIME.individualTranslations = changes.individualTranslations.newValue !== false;
             }
+            if (changes.lazyLookAhead) {
+                RUNTIME.lazyLookAhead = changes.lazyLookAhead.newValue ?? CONFIG.defaults.lazyLookAhead;
+            }
+            if (changes.confirmCostAbove) {
+                RUNTIME.confirmCostAbove = changes.confirmCostAbove.newValue ?? CONFIG.defaults.confirmCostAbove;
+            }
+            if (changes.dailyCap || changes.monthlyCap) {
+                resumeAfterBudgetChange();
+            }
+            if (changes.lazyProcessing) {
+                Logger.log("lazyProcessing changed:", changes.lazyProcessing.newValue);
+                RUNTIME.lazyProcessing = changes.lazyProcessing.newValue === true;
+                // Switch modes for the paragraphs not yet processed
+                stopLazyProcessing();
+                hasProcessedInitially = false;
+                processParagraphs();
+            }
         }
     }
 });
@@ -1816,6 +3217,18 @@ function handleMousemove(e) {
     const mouseX = e.clientX;
     const mouseY = e.clientY;
 
+    // Moving onto the shown translation (to click and edit it) keeps its block open
+    if (currentlyHoveredBlock) {
+        const lines = currentlyHoveredBlock.overlayElement.querySelectorAll('.translation-line');
+        for (const line of lines) {
+            const rect = line.getBoundingClientRect();
+            if (mouseX >= rect.left && mouseX <= rect.right &&
+                mouseY >= rect.top && mouseY <= rect.bottom) {
+                return;
+            }
+        }
+    }
+
     // Find which meaning block (if any) the mouse is over
     let hoveredBlock = null;
 
@@ -1926,6 +3339,20 @@ function removeAllUIElements() {
     const errorNotif = document.getElementById('elevenlabs-error-notification');
     if (errorNotif) errorNotif.remove();
 
+    // Remove old/new comparison panel
+    const comparePanel = document.getElementById('elt-compare-panel');
+    if (comparePanel) comparePanel.remove();
+
+    // Remove spending limit banner (an open cost confirmation is declined by teardown)
+    const budgetBanner = document.getElementById('elt-budget-banner');
+    if (budgetBanner) budgetBanner.remove();
+
+    // Remove an open translation editor (the edit is discarded)
+    closeTranslationEditor();
+
+    // End boundary editing (unapplied drafts are discarded)
+    stopBoundaryEditing(false);
+
     // Remove body classes
     document.body.classList.remove('elt-translations-visible');
     document.body.classList.remove('elt-show-highlighting');
@@ -1946,6 +3373,11 @@ function clearParagraphData() {
         delete p._fullResponse;
         delete p._wordMap;
         delete p._hasTranslations;
+        delete p._pending;
+        delete p._cacheOutdated;
+        delete p._cacheOrigin;
+        delete p._keepOutdated;
+        delete p._reprocessing;
     });
 }
 
@@ -1980,11 +3412,23 @@ function teardown() {
     navState.shiftLeft = { lastTime: 0, count: 0, baseIndex: -1, seekTimer: null };
     navState.shiftRight = { lastTime: 0, count: 0, baseIndex: -1, seekTimer: null };
 
+    // Stop on-demand processing and content watching
+    stopLazyProcessing();
+    stopContentObserver();
+
     // Reset state (but preserve translationsVisible for restoration)
     activeOverlays = [];
     currentlyHoveredBlock = null;
-    isProcessing = false;
+    processingCount = 0;
     hasProcessedInitially = false;
+    documentGeneration++;
+    reprocessOutdated = false;
+    hasNotifiedOutdated = false;
+    pendingComparisons = [];
+    if (resolveCostConfirmation) resolveCostConfirmation(false);
+    costApproval = null;
+    budgetPaused = false;
+    terminologyRenderings = {};
 
     // Mark as inactive
     isExtensionActive = false;
@@ -2011,9 +3455,12 @@ function reinitialize() {
     Logger.log("Reinitializing extension...");
 
     // Reload settings
-    chrome.storage.sync.get(['partitioningEnabled', 'individualTranslations', 'limitSingleParagraph', 'debugLogging'], (result) => {
+    chrome.storage.sync.get(['partitioningEnabled', 'individualTranslations', 'limitSingleParagraph', 'lazyProcessing', 'lazyLookAhead', 'confirmCostAbove', 'debugLogging'], (result) => {
         RUNTIME.individualTranslations = result.individualTranslations !== false;
         RUNTIME.limitSingleParagraph = result.limitSingleParagraph === true;
+        RUNTIME.lazyProcessing = result.lazyProcessing === true;
+        RUNTIME.lazyLookAhead = result.lazyLookAhead ?? CONFIG.defaults.lazyLookAhead;
+        RUNTIME.confirmCostAbove = result.confirmCostAbove ?? CONFIG.defaults.confirmCostAbove;
         Logger._enabled = result.debugLogging === true;
 
         // Apply highlighting visibility
@@ -2034,14 +3481,58 @@ function reinitialize() {
             setTranslationsVisibility(true);
         }
 
-        // Re-process paragraphs (will use cache)
+        // Re-process paragraphs (will use cache) and watch for new ones
         hasProcessedInitially = false;
         processParagraphs();
+        startContentObserver();
 
         Logger.log("Extension reinitialized");
     });
 }
 
+// --- SPA Navigation ---
+// ElevenReader switches between library items without a page load. Each document
+// gets fresh state: the old overlays, cost totals and navigation state are torn
+// down and the extension reinitializes once the new #preview-content is rendered.
+
+let currentDocumentUrl = window.location.href;
+let awaitingDocument = false; // Torn down for a route change, waiting for #preview-content
+
+/**
+ * Detects a new document: the URL changed (pushState is invisible to content
+ * scripts, so the URL is also polled) or React replaced #preview-content.
+ */
+function checkForDocumentChange() {
+    const urlChanged = window.location.href !== currentDocumentUrl;
+    const contentReplaced = isExtensionActive && observedContentDiv && !observedContentDiv.isConnected;
+
+    if (urlChanged || contentReplaced) {
+        handleDocumentChange();
+    } else if (awaitingDocument && document.getElementById('preview-content')) {
+        awaitingDocument = false;
+        reinitialize();
+    }
+}
+
+function handleDocumentChange() {
+    Logger.log("Document changed:", currentDocumentUrl, "->", window.location.href);
+    currentDocumentUrl = window.location.href;
+    resetCostTracker();
+
+    if (!isExtensionActive && !awaitingDocument) return; // Disabled, or init() still waiting
+
+    teardown();
+    awaitingDocument = true;
+    checkForDocumentChange(); // Reinitialize now if the new document is already there
+}
+
+window.addEventListener('popstate', checkForDocumentChange);
+window.addEventListener('hashchange', checkForDocumentChange);
+if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', checkForDocumentChange);
+}
+setInterval(checkForDocumentChange, CONFIG.timing.routeCheckInterval);
+
 // --- Message Handler for Popup Queries ---
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'GET_CURRENT_VOICE') {
@@ -2062,5 +3553,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         });
         return true; // Keep channel open for async response
     }
+
+    if (request.action === 'REPROCESS_DOCUMENT') {
+        // "Re-process with current model" from the popup, for the open article
+        reprocessOutdated = true;
+        if (isExtensionActive) reprocessParagraphs(getTranslatableParagraphs());
+        sendResponse({ success: true });
+        return true;
+    }
 });
 
@@ -0,0 +1,433 @@
+// Options page: settings that don't fit in the popup (file import needs a page
+// that stays open while the file chooser is shown; the glossary and rule pack editors need room)
+
+document.addEventListener('DOMContentLoaded', () => {
+  const importFileInput = document.getElementById('import-file');
+  const importBtn = document.getElementById('import-cache');
+  const importStatusMsg = document.getElementById('import-status-msg');
+
+  function showImportStatus(msg, color) {
+    importStatusMsg.textContent = msg;
+    importStatusMsg.style.color = color;
+  }
+
+  // Import a cache file exported from the popup
+  importBtn.addEventListener('click', () => {
+    const file = importFileInput.files[0];
+    if (!file) {
+      showImportStatus('Choose a file first.', 'red');
+      return;
+    }
+
+    file.text().then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        showImportStatus('Not a valid JSON file.', 'red');
+        return;
+      }
+
+      showImportStatus('Importing...', '#666');
+      chrome.runtime.sendMessage({ action: 'IMPORT_CACHE', data: data }, (response) => {
+        if (chrome.runtime.lastError) {
+          showImportStatus('Error: ' + chrome.runtime.lastError.message, 'red');
+          return;
+        }
+        if (!response || !response.success) {
+          showImportStatus('Import failed: ' + (response?.error || 'unknown error'), 'red');
+          return;
+        }
+
+        const { added, updated, kept, rejected, errors } = response.data;
+        const lines = [`Imported: ${added} added, ${updated} updated, ${kept} unchanged, ${rejected} rejected`];
+        if (errors.length > 0) lines.push(...errors);
+        showImportStatus(lines.join('\n'), rejected > 0 ? '#b45309' : 'green');
+      });
+    });
+  });
+
+  // Glossary: preferred term translations per language pair, stored in
+  // chrome.storage.local and matched against each paragraph by the background
+  const glossarySourceInput = document.getElementById('glossary-source');
+  const glossaryTranslationInput = document.getElementById('glossary-translation');
+  const glossaryNoteInput = document.getElementById('glossary-note');
+  const glossarySourceLanguage = document.getElementById('glossary-source-language');
+  const glossaryTargetLanguage = document.getElementById('glossary-target-language');
+  const addGlossaryBtn = document.getElementById('add-glossary-entry');
+  const glossaryList = document.getElementById('glossary-entries');
+  const glossaryStatusMsg = document.getElementById('glossary-status-msg');
+  const glossaryKey = CONFIG.glossary.storageKey;
+
+  function showGlossaryStatus(msg, color) {
+    glossaryStatusMsg.textContent = msg;
+    glossaryStatusMsg.style.color = color;
+  }
+
+  Object.entries(CONFIG.languages).forEach(([code, language]) => {
+    if (language.source) glossarySourceLanguage.add(new Option(language.name, code));
+    glossaryTargetLanguage.add(new Option(language.name, code));
+  });
+
+  function renderGlossary(entries) {
+    glossaryList.innerHTML = '';
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      const languages = `${entry.sourceLanguage} → ${entry.targetLanguage}`;
+      [entry.source, entry.translation, entry.note || '', languages].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'glossary-delete';
+      deleteBtn.textContent = '×';
+      deleteBtn.title = 'Delete entry';
+      deleteBtn.addEventListener('click', () => {
+        updateGlossary(list => list.filter(item => item.id !== entry.id), 'Entry deleted.');
+      });
+      const actionCell = document.createElement('td');
+      actionCell.appendChild(deleteBtn);
+      row.appendChild(actionCell);
+      glossaryList.appendChild(row);
+    });
+  }
+
+  function updateGlossary(change, message) {
+    chrome.storage.local.get(glossaryKey, (result) => {
+      const entries = change(result[glossaryKey] || []);
+      chrome.storage.local.set({ [glossaryKey]: entries }, () => {
+        renderGlossary(entries);
+        showGlossaryStatus(message, 'green');
+      });
+    });
+  }
+
+  chrome.storage.local.get(glossaryKey, (result) => renderGlossary(result[glossaryKey] || []));
+  chrome.storage.sync.get(['sourceLanguage', 'targetLanguage'], (result) => {
+    glossarySourceLanguage.value = result.sourceLanguage || CONFIG.defaults.sourceLanguage;
+    glossaryTargetLanguage.value = result.targetLanguage || CONFIG.defaults.targetLanguage;
+  });
+
+  addGlossaryBtn.addEventListener('click', () => {
+    const entry = {
+      source: glossarySourceInput.value.trim(),
+      translation: glossaryTranslationInput.value.trim(),
+      note: glossaryNoteInput.value.trim(),
+      sourceLanguage: glossarySourceLanguage.value,
+      targetLanguage: glossaryTargetLanguage.value
+    };
+    if (!entry.source || !entry.translation) {
+      showGlossaryStatus('Enter a term and its translation.', 'red');
+      return;
+    }
+    if (entry.sourceLanguage === entry.targetLanguage) {
+      showGlossaryStatus('Choose two different languages.', 'red');
+      return;
+    }
+
+    // One entry per term and language pair: adding it again replaces it
+    const sameTerm = item => item.sourceLanguage === entry.sourceLanguage &&
+      item.targetLanguage === entry.targetLanguage &&
+      item.source.toLowerCase() === entry.source.toLowerCase();
+    updateGlossary(list => {
+      const existing = list.find(sameTerm);
+      entry.id = existing ? existing.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+      return existing ? list.map(item => (item === existing ? entry : item)) : list.concat(entry);
+    }, `Saved "${entry.source}" → "${entry.translation}".`);
+
+    glossarySourceInput.value = '';
+    glossaryTranslationInput.value = '';
+    glossaryNoteInput.value = '';
+    glossarySourceInput.focus();
+  });
+
+  // Training corpus: recorded by the background, exported as JSONL
+  const recordTrainingCheckbox = document.getElementById('record-training-data');
+  const exportTrainingBtn = document.getElementById('export-training');
+  const clearTrainingBtn = document.getElementById('clear-training');
+  const trainingStatusMsg = document.getElementById('training-status-msg');
+
+  function showTrainingStatus(msg, color) {
+    trainingStatusMsg.textContent = msg;
+    trainingStatusMsg.style.color = color;
+  }
+
+  chrome.storage.sync.get(['recordTrainingData'], (result) => {
+    recordTrainingCheckbox.checked = result.recordTrainingData ?? CONFIG.defaults.recordTrainingData;
+  });
+  recordTrainingCheckbox.addEventListener('change', () => {
+    chrome.storage.sync.set({ recordTrainingData: recordTrainingCheckbox.checked });
+  });
+
+  exportTrainingBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'EXPORT_TRAINING_CORPUS' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showTrainingStatus('Export failed: ' + (chrome.runtime.lastError?.message || response?.error || 'unknown error'), 'red');
+        return;
+      }
+      if (response.data.count === 0) {
+        showTrainingStatus('Nothing recorded yet.', '#666');
+        return;
+      }
+      const blob = new Blob([response.data.jsonl], { type: 'application/x-ndjson' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `flowreader-training-${new Date().toISOString().slice(0, 10)}.jsonl`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      showTrainingStatus(`Exported ${response.data.count} paragraphs.`, 'green');
+    });
+  });
+
+  clearTrainingBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'CLEAR_TRAINING_CORPUS' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showTrainingStatus('Clear failed: ' + (chrome.runtime.lastError?.message || response?.error || 'unknown error'), 'red');
+        return;
+      }
+      showTrainingStatus(`Deleted ${response.count} recorded paragraphs.`, 'green');
+    });
+  });
+
+  // Few-shot examples: stored in chrome.storage.local, picked per request by the
+  // background; adding goes through the background, which validates and dedupes
+  const addCorrectedBtn = document.getElementById('add-corrected-examples');
+  const exportExamplesBtn = document.getElementById('export-examples');
+  const examplesFileInput = document.getElementById('examples-file');
+  const importExamplesBtn = document.getElementById('import-examples');
+  const examplesStatusMsg = document.getElementById('examples-status-msg');
+  const examplesList = document.getElementById('example-entries');
+  const examplesKey = CONFIG.fewShot.storageKey;
+
+  function showExamplesStatus(msg, color) {
+    examplesStatusMsg.textContent = msg;
+    examplesStatusMsg.style.color = color;
+  }
+
+  function renderExamples(examples) {
+    examplesList.innerHTML = '';
+    examples.slice().reverse().forEach(example => {
+      const row = document.createElement('tr');
+      const blocks = example.blocks.map(block => example.words.slice(block.s, block.e + 1).join(' '));
+      [blocks.join(' | '), String(blocks.length), `${example.sourceLanguage} → ${example.targetLanguage}`].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'glossary-delete';
+      deleteBtn.textContent = '×';
+      deleteBtn.title = 'Delete example';
+      deleteBtn.addEventListener('click', () => {
+        chrome.storage.local.get(examplesKey, (result) => {
+          const remaining = (result[examplesKey] || []).filter(item => item.id !== example.id);
+          chrome.storage.local.set({ [examplesKey]: remaining }, () => {
+            renderExamples(remaining);
+            showExamplesStatus('Example deleted.', 'green');
+          });
+        });
+      });
+      const actionCell = document.createElement('td');
+      actionCell.appendChild(deleteBtn);
+      row.appendChild(actionCell);
+      examplesList.appendChild(row);
+    });
+  }
+
+  function loadExamples() {
+    chrome.storage.local.get(examplesKey, (result) => renderExamples(result[examplesKey] || []));
+  }
+
+  function showAddResult(response) {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showExamplesStatus('Failed: ' + (chrome.runtime.lastError?.message || response?.error || 'unknown error'), 'red');
+      return;
+    }
+    const { added, updated, rejected } = response.data;
+    showExamplesStatus(`${added} added, ${updated} updated, ${rejected} rejected`, rejected > 0 ? '#b45309' : 'green');
+    loadExamples();
+  }
+
+  loadExamples();
+
+  addCorrectedBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'ADD_FEW_SHOT_FROM_CORPUS' }, showAddResult);
+  });
+
+  exportExamplesBtn.addEventListener('click', () => {
+    chrome.storage.local.get(examplesKey, (result) => {
+      const examples = result[examplesKey] || [];
+      if (examples.length === 0) {
+        showExamplesStatus('No examples to export.', '#666');
+        return;
+      }
+      const lines = examples.map(({ sourceLanguage, targetLanguage, words, blocks }) =>
+        JSON.stringify({ sourceLanguage, targetLanguage, words, blocks }) + '\n');
+      const blob = new Blob(lines, { type: 'application/x-ndjson' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `flowreader-examples-${new Date().toISOString().slice(0, 10)}.jsonl`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      showExamplesStatus(`Exported ${examples.length} examples.`, 'green');
+    });
+  });
+
+  // Accepts exported examples or training data: JSONL, or a JSON array
+  importExamplesBtn.addEventListener('click', () => {
+    const file = examplesFileInput.files[0];
+    if (!file) {
+      showExamplesStatus('Choose a file first.', 'red');
+      return;
+    }
+
+    file.text().then(text => {
+      let items;
+      try {
+        const trimmed = text.trim();
+        items = trimmed.startsWith('[')
+          ? JSON.parse(trimmed)
+          : trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      } catch (err) {
+        showExamplesStatus('Not a valid JSON or JSONL file.', 'red');
+        return;
+      }
+      chrome.runtime.sendMessage({ action: 'IMPORT_FEW_SHOT_EXAMPLES', items: items }, showAddResult);
+    });
+  });
+
+  // Validation rule packs (rules.js), one per source language, stored in
+  // chrome.storage.local. The JSON textarea is the pack being edited; the
+  // severity table and retry inputs are shortcuts that rewrite it.
+  const languageSelect = document.getElementById('rule-pack-language');
+  const severityTable = document.getElementById('rule-severities');
+  const retryErrorsInput = document.getElementById('retry-errors');
+  const retryWarningsInput = document.getElementById('retry-warnings');
+  const packJson = document.getElementById('rule-pack-json');
+  const saveRulesBtn = document.getElementById('save-rule-pack');
+  const resetRulesBtn = document.getElementById('reset-rule-pack');
+  const rulesStatusMsg = document.getElementById('rules-status-msg');
+
+  function showRulesStatus(msg, color) {
+    rulesStatusMsg.textContent = msg;
+    rulesStatusMsg.style.color = color;
+  }
+
+  function packStorageKey() {
+    return CONFIG.rulePacks.storagePrefix + languageSelect.value;
+  }
+
+  function parsePackJson() {
+    try {
+      return JSON.parse(packJson.value);
+    } catch (err) {
+      showRulesStatus('Rule pack JSON is not valid: ' + err.message, 'red');
+      return null;
+    }
+  }
+
+  function renderPack(pack) {
+    packJson.value = JSON.stringify(pack, null, 2);
+    retryErrorsInput.value = pack.retryPolicy ? pack.retryPolicy.error : '';
+    retryWarningsInput.value = pack.retryPolicy ? pack.retryPolicy.warning : '';
+
+    severityTable.innerHTML = '';
+    (pack.rules || []).forEach(rule => {
+      const row = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      labelCell.textContent = rule.id;
+      if (rule.description) {
+        const description = document.createElement('div');
+        description.className = 'rule-description';
+        description.textContent = rule.description;
+        labelCell.appendChild(description);
+      }
+
+      const select = document.createElement('select');
+      RULE_SEVERITIES.forEach(severity => {
+        const option = document.createElement('option');
+        option.value = severity;
+        option.textContent = severity;
+        select.appendChild(option);
+      });
+      select.value = rule.severity;
+      select.addEventListener('change', () => {
+        const current = parsePackJson();
+        if (!current) return;
+        const target = (current.rules || []).find(r => r.id === rule.id);
+        if (target) target.severity = select.value;
+        renderPack(current);
+      });
+
+      const selectCell = document.createElement('td');
+      selectCell.appendChild(select);
+      row.appendChild(labelCell);
+      row.appendChild(selectCell);
+      severityTable.appendChild(row);
+    });
+  }
+
+  function loadRulePack() {
+    const key = packStorageKey();
+    chrome.storage.local.get(key, (result) => {
+      const stored = result[key];
+      renderPack(stored ? withDefaultRules(stored) : buildDefaultRulePack(languageSelect.value));
+      showRulesStatus(stored ? 'Using your saved rule pack.' : 'Using the built-in rule pack.', '#666');
+    });
+  }
+
+  [[retryErrorsInput, 'error'], [retryWarningsInput, 'warning']].forEach(([input, severity]) => {
+    input.addEventListener('change', () => {
+      const current = parsePackJson();
+      if (!current) return;
+      current.retryPolicy = Object.assign({}, current.retryPolicy, { [severity]: parseInt(input.value, 10) });
+      renderPack(current);
+    });
+  });
+
+  // Re-sync the table after hand edits to the JSON
+  packJson.addEventListener('change', () => {
+    const current = parsePackJson();
+    if (current) renderPack(current);
+  });
+
+  Object.entries(CONFIG.languages)
+    .filter(([, language]) => language.source)
+    .forEach(([code, language]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = language.name;
+      languageSelect.appendChild(option);
+    });
+  chrome.storage.sync.get(['sourceLanguage'], (result) => {
+    if (CONFIG.languages[result.sourceLanguage]?.source) languageSelect.value = result.sourceLanguage;
+    loadRulePack();
+  });
+  languageSelect.addEventListener('change', loadRulePack);
+
+  saveRulesBtn.addEventListener('click', () => {
+    const pack = parsePackJson();
+    if (!pack) return;
+
+    const errors = validateRulePack(pack);
+    if (errors.length > 0) {
+      showRulesStatus('Not saved:\n' + errors.join('\n'), 'red');
+      return;
+    }
+    pack.language = languageSelect.value;
+    chrome.storage.local.set({ [packStorageKey()]: pack }, () => {
+      renderPack(pack);
+      showRulesStatus('Rule pack saved.', 'green');
+    });
+  });
+
+  resetRulesBtn.addEventListener('click', () => {
+    chrome.storage.local.remove(packStorageKey(), () => {
+      renderPack(buildDefaultRulePack(languageSelect.value));
+      showRulesStatus('Reset to the built-in rule pack.', 'green');
+    });
+  });
+});
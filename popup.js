@@ -10,12 +10,33 @@ document.addEventListener('DOMContentLoaded', () => {
   const individualTranslationsToggle = document.getElementById('individual-translations');
   const partitioningToggle = document.getElementById('partitioning-enabled');
   const limitSingleParagraphToggle = document.getElementById('limit-single-paragraph');
+  const lazyProcessingToggle = document.getElementById('lazy-processing');
+  const lazyLookAheadInput = document.getElementById('lazy-look-ahead');
   const debugLoggingToggle = document.getElementById('debug-logging');
+  const providerSelect = document.getElementById('llm-provider');
+  const apiKeyLabel = document.getElementById('api-key-label');
   const apiKeyInput = document.getElementById('api-key');
+  const modelInput = document.getElementById('model-name');
+  const localEndpointGroup = document.getElementById('local-endpoint-group');
+  const localEndpointInput = document.getElementById('local-endpoint');
+  const sourceLanguageSelect = document.getElementById('source-language');
+  const targetLanguageSelect = document.getElementById('target-language');
   const saveBtn = document.getElementById('save-key');
   const statusMsg = document.getElementById('status-msg');
   const clearCacheBtn = document.getElementById('clear-cache');
   const cacheStatusMsg = document.getElementById('cache-status-msg');
+  const cacheUsageEl = document.getElementById('cache-usage');
+  const cachedArticlesList = document.getElementById('cached-articles');
+  const exportCacheBtn = document.getElementById('export-cache');
+  const importCacheBtn = document.getElementById('import-cache');
+  const spendingTodayEl = document.getElementById('spending-today');
+  const spendingWeekEl = document.getElementById('spending-week');
+  const spendingMonthEl = document.getElementById('spending-month');
+  const spendingArticlesList = document.getElementById('spending-articles');
+  const exportSpendingBtn = document.getElementById('export-spending');
+  const confirmCostAboveInput = document.getElementById('confirm-cost-above');
+  const dailyCapInput = document.getElementById('daily-cap');
+  const monthlyCapInput = document.getElementById('monthly-cap');
   const voiceInfoSection = document.getElementById('voice-info');
   const voiceNameEl = document.getElementById('voice-name');
   const voiceWarningEl = document.getElementById('voice-warning');
@@ -24,12 +45,27 @@ document.addEventListener('DOMContentLoaded', () => {
   const recommendedVoicesListEl = document.getElementById('recommended-voices-list');
   const popupContent = document.getElementById('popup-content');
 
+  // Per-provider settings loaded from storage, edited in place until saved
+  const providerSettings = {};
+
   // Populate the tooltip with recommended voices
   populateRecommendedVoicesList();
 
+  // Populate the provider dropdown from the provider registry
+  populateProviderOptions();
+
+  // Populate the language dropdowns from CONFIG.languages
+  populateLanguageOptions();
+
   // Check current voice on the active tab
   checkCurrentVoice();
 
+  // List cached articles and storage usage
+  loadCachedArticles();
+
+  // Show spending totals from the cost ledger
+  loadSpending();
+
   // Update disabled state based on toggle
   function updateDisabledState(enabled) {
     if (enabled) {
@@ -48,18 +84,100 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  function populateProviderOptions() {
+    Object.keys(PROVIDERS).forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = PROVIDERS[id].label;
+      providerSelect.appendChild(option);
+    });
+  }
+
+  // Source languages need segmentation rules; any language can be a target
+  function populateLanguageOptions() {
+    Object.entries(CONFIG.languages).forEach(([code, language]) => {
+      if (language.source) {
+        sourceLanguageSelect.appendChild(new Option(language.name, code));
+      }
+      targetLanguageSelect.appendChild(new Option(language.name, code));
+    });
+  }
+
+  // A language can't be translated into itself
+  function updateTargetLanguageOptions() {
+    Array.from(targetLanguageSelect.options).forEach(option => {
+      option.disabled = option.value === sourceLanguageSelect.value;
+    });
+    if (targetLanguageSelect.value === sourceLanguageSelect.value) {
+      const firstEnabled = Array.from(targetLanguageSelect.options).find(option => !option.disabled);
+      targetLanguageSelect.value = firstEnabled.value;
+    }
+  }
+
+  // Show the fields for the selected provider, with its stored values
+  function showProviderFields(providerId) {
+    const provider = PROVIDERS[providerId];
+    const defaults = CONFIG.api.providers[providerId];
+    const stored = providerSettings[providerId] || {};
+
+    apiKeyLabel.textContent = provider.requiresApiKey
+      ? `${provider.label} API Key:`
+      : 'API Key (optional):';
+    apiKeyInput.placeholder = providerId === 'openai' ? 'sk-...' : '';
+    apiKeyInput.value = stored.apiKey || '';
+    modelInput.placeholder = defaults.model;
+    modelInput.value = stored.model || '';
+    localEndpointGroup.style.display = providerId === 'local' ? 'block' : 'none';
+    localEndpointInput.placeholder = CONFIG.api.providers.local.endpoint;
+    localEndpointInput.value = stored.endpoint || '';
+  }
+
   // Load saved settings
-  chrome.storage.sync.get(['enabled', 'openaiApiKey', 'individualTranslations', 'partitioningEnabled', 'limitSingleParagraph', 'debugLogging'], (result) => {
+  const providerKeys = Object.keys(PROVIDERS).flatMap(id => [id + 'ApiKey', id + 'Model']);
+  chrome.storage.sync.get(['enabled', 'llmProvider', 'localEndpoint', ...providerKeys, 'sourceLanguage', 'targetLanguage', 'individualTranslations', 'partitioningEnabled', 'limitSingleParagraph', 'lazyProcessing', 'lazyLookAhead', 'confirmCostAbove', 'dailyCap', 'monthlyCap', 'debugLogging'], (result) => {
     const isEnabled = result.enabled !== false; // Default true
     toggle.checked = isEnabled;
     updateDisabledState(isEnabled);
     individualTranslationsToggle.checked = result.individualTranslations !== false; // Default true
     partitioningToggle.checked = result.partitioningEnabled === true; // Default false (debug feature)
     limitSingleParagraphToggle.checked = result.limitSingleParagraph === true; // Default false (process all paragraphs)
+    lazyProcessingToggle.checked = result.lazyProcessing === true; // Default false (process everything up front)
+    lazyLookAheadInput.value = result.lazyLookAhead ?? CONFIG.defaults.lazyLookAhead;
+    confirmCostAboveInput.value = result.confirmCostAbove ?? CONFIG.defaults.confirmCostAbove;
+    // Caps of 0 (none) are shown empty
+    dailyCapInput.value = result.dailyCap || '';
+    monthlyCapInput.value = result.monthlyCap || '';
     debugLoggingToggle.checked = result.debugLogging === true; // Default false
-    if (result.openaiApiKey) {
-      apiKeyInput.value = result.openaiApiKey;
-    }
+    Object.keys(PROVIDERS).forEach(id => {
+      providerSettings[id] = {
+        apiKey: result[id + 'ApiKey'] || '',
+        model: result[id + 'Model'] || '',
+        endpoint: id === 'local' ? (result.localEndpoint || '') : ''
+      };
+    });
+    providerSelect.value = PROVIDERS[result.llmProvider] ? result.llmProvider : CONFIG.api.defaultProvider;
+    showProviderFields(providerSelect.value);
+    sourceLanguageSelect.value = result.sourceLanguage || CONFIG.defaults.sourceLanguage;
+    targetLanguageSelect.value = result.targetLanguage || CONFIG.defaults.targetLanguage;
+    updateTargetLanguageOptions();
+  });
+
+  // Save language pair (content script re-processes the page on change)
+  sourceLanguageSelect.addEventListener('change', () => {
+    updateTargetLanguageOptions();
+    chrome.storage.sync.set({
+      sourceLanguage: sourceLanguageSelect.value,
+      targetLanguage: targetLanguageSelect.value
+    });
+  });
+
+  targetLanguageSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ targetLanguage: targetLanguageSelect.value });
+  });
+
+  // Switch provider fields (saved with the Save Provider button)
+  providerSelect.addEventListener('change', () => {
+    showProviderFields(providerSelect.value);
   });
 
   // Save enabled state
@@ -83,21 +201,92 @@ document.addEventListener('DOMContentLoaded', () => {
     chrome.storage.sync.set({ limitSingleParagraph: limitSingleParagraphToggle.checked });
   });
 
+  // Save lazy processing state
+  lazyProcessingToggle.addEventListener('change', () => {
+    chrome.storage.sync.set({ lazyProcessing: lazyProcessingToggle.checked });
+  });
+
+  // Save look-ahead window (paragraphs processed ahead of the one being read)
+  lazyLookAheadInput.addEventListener('change', () => {
+    const value = parseInt(lazyLookAheadInput.value, 10);
+    if (isNaN(value) || value < 0) {
+      lazyLookAheadInput.value = CONFIG.defaults.lazyLookAhead;
+      return;
+    }
+    chrome.storage.sync.set({ lazyLookAhead: value });
+  });
+
+  // Save spending limits (USD); an empty or 0 cap means no cap
+  [
+    [confirmCostAboveInput, 'confirmCostAbove'],
+    [dailyCapInput, 'dailyCap'],
+    [monthlyCapInput, 'monthlyCap']
+  ].forEach(([input, key]) => {
+    input.addEventListener('change', () => {
+      const value = input.value === '' ? 0 : parseFloat(input.value);
+      if (isNaN(value) || value < 0) {
+        input.value = '';
+        return;
+      }
+      chrome.storage.sync.set({ [key]: value });
+    });
+  });
+
   // Save debug logging state
   debugLoggingToggle.addEventListener('change', () => {
     chrome.storage.sync.set({ debugLogging: debugLoggingToggle.checked });
   });
 
-  // Save API Key
+  // Save provider, API key, model and (for local servers) endpoint
   saveBtn.addEventListener('click', () => {
+    const providerId = providerSelect.value;
     const key = apiKeyInput.value.trim();
-    if (!key) {
+    if (!key && PROVIDERS[providerId].requiresApiKey) {
       showStatus('Please enter a key.', 'red');
       return;
     }
-    chrome.storage.sync.set({ openaiApiKey: key }, () => {
-      showStatus('API Key Saved!', 'green');
+
+    const model = modelInput.value.trim();
+    const update = {
+      llmProvider: providerId,
+      [providerId + 'ApiKey']: key,
+      [providerId + 'Model']: model
+    };
+    let origin = null;
+    if (providerId === 'local') {
+      update.localEndpoint = localEndpointInput.value.trim();
+      if (update.localEndpoint) {
+        let url = null;
+        try {
+          url = new URL(update.localEndpoint);
+        } catch (e) {
+          // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          showStatus('Server URL must start with http:// or https://', 'red');
+          return;
+        }
+        origin = `${url.protocol}//${url.hostname}/*`;
+      }
+    }
+
+    chrome.storage.sync.set(update, () => {
+      providerSettings[providerId] = { apiKey: key, model: model, endpoint: update.localEndpoint || '' };
+      if (!origin) showStatus('Provider Saved!', 'green');
     });
+
+    // The background can only reach servers it has host access to (the manifest
+    // grants localhost and 127.0.0.1); requests elsewhere would fail on CORS.
+    // Asked for while handling the click, as Chrome requires.
+    if (origin) {
+      chrome.permissions.request({ origins: [origin] }, (granted) => {
+        if (granted) {
+          showStatus('Provider Saved!', 'green');
+        } else {
+          showStatus(`Saved, but requests to ${new URL(update.localEndpoint).hostname} will fail until the extension is allowed to access it.`, '#b45309');
+        }
+      });
+    }
   });
 
   function showStatus(msg, color) {
@@ -130,12 +319,252 @@ document.addEventListener('DOMContentLoaded', () => {
         } else {
           showCacheStatus('Cache is already empty', '#666');
         }
+        loadCachedArticles();
       } else {
         showCacheStatus('Failed to clear cache', 'red');
       }
     });
   });
 
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // List cached articles (most recently used first) with size, date and model
+  function loadCachedArticles() {
+    chrome.runtime.sendMessage({ action: 'LIST_CACHED_ARTICLES' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        cacheUsageEl.textContent = 'Unable to read cache';
+        return;
+      }
+
+      const { articles, bytesInUse, quotaBytes } = response.data;
+      cacheUsageEl.textContent = `${formatBytes(bytesInUse)} of ${formatBytes(quotaBytes)} used`;
+      cachedArticlesList.innerHTML = '';
+
+      articles.forEach(article => {
+        const li = document.createElement('li');
+        li.className = 'cached-article';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = article.url;
+        checkbox.title = 'Select for export';
+
+        const info = document.createElement('div');
+        info.className = 'cached-article-info';
+        const title = document.createElement('div');
+        title.className = 'cached-article-title';
+        title.textContent = article.title;
+        title.title = article.url;
+        const meta = document.createElement('div');
+        meta.className = 'cached-article-meta';
+        meta.textContent = [
+          formatBytes(article.size),
+          new Date(article.timestamp).toLocaleDateString(),
+          article.models.join(', ')
+        ].join(' · ');
+        info.append(title, meta);
+        if (article.outdatedCount > 0) {
+          const outdated = document.createElement('div');
+          outdated.className = 'cached-article-outdated';
+          outdated.textContent = `${article.outdatedCount} from an older model/prompt/glossary`;
+          info.appendChild(outdated);
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'cached-article-delete';
+        deleteBtn.textContent = '×';
+        deleteBtn.title = 'Delete from cache';
+        deleteBtn.addEventListener('click', () => deleteCachedArticle(article));
+
+        li.append(checkbox, info);
+        if (article.outdatedCount > 0) {
+          const reprocessBtn = document.createElement('button');
+          reprocessBtn.className = 'cached-article-delete cached-article-reprocess';
+          reprocessBtn.textContent = '↻';
+          reprocessBtn.title = 'Re-process with current model';
+          reprocessBtn.addEventListener('click', () => reprocessCachedArticle(article));
+          li.appendChild(reprocessBtn);
+        }
+        li.appendChild(deleteBtn);
+        cachedArticlesList.appendChild(li);
+      });
+    });
+  }
+
+  // Export the selected articles, or the whole cache if none are selected
+  exportCacheBtn.addEventListener('click', () => {
+    const selected = Array.from(cachedArticlesList.querySelectorAll('input[type="checkbox"]:checked'))
+      .map(checkbox => checkbox.value);
+
+    chrome.runtime.sendMessage({ action: 'EXPORT_CACHE', urls: selected.length > 0 ? selected : null }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showCacheStatus('Export failed', 'red');
+        return;
+      }
+
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `flowreader-cache-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+      const count = response.data.articles.length;
+      showCacheStatus(`Exported ${count} article${count === 1 ? '' : 's'}`, 'green');
+    });
+  });
+
+  // Import needs a page that stays open while the file chooser is shown
+  importCacheBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Re-process an article's outdated paragraphs with the current model. An open tab
+  // is asked directly; otherwise the article is flagged and opened, and re-processes
+  // on its first cache lookup. New results are shown next to the old ones on the page.
+  function reprocessCachedArticle(article) {
+    chrome.tabs.query({}, (tabs) => {
+      const tab = tabs.find(t => t.url === article.url);
+      if (tab) {
+        chrome.tabs.update(tab.id, { active: true });
+        chrome.tabs.sendMessage(tab.id, { action: 'REPROCESS_DOCUMENT' }, () => {
+          if (chrome.runtime.lastError) {
+            showCacheStatus('Reload the article and try again', 'red');
+            return;
+          }
+          showCacheStatus('Re-processing - compare results on the page', 'green');
+        });
+        return;
+      }
+
+      chrome.runtime.sendMessage({ action: 'REQUEST_REPROCESS', url: article.url }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          showCacheStatus('Failed to start re-processing', 'red');
+          return;
+        }
+        chrome.tabs.create({ url: article.url });
+      });
+    });
+  }
+
+  function deleteCachedArticle(article) {
+    chrome.runtime.sendMessage({ action: 'DELETE_CACHED_ARTICLE', url: article.url }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showCacheStatus('Failed to delete article', 'red');
+        return;
+      }
+      showCacheStatus(`Deleted "${article.title}"`, 'green');
+      loadCachedArticles();
+    });
+  }
+
+  // Local calendar day as YYYY-MM-DD, matching the ledger's day keys
+  function formatDayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function formatCost(cost) {
+    return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  }
+
+  // Totals for today, this week (from Monday) and this month, and per article
+  function loadSpending() {
+    chrome.runtime.sendMessage({ action: 'GET_COST_LEDGER' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        spendingTodayEl.textContent = '?';
+        return;
+      }
+
+      const rows = response.data;
+      const now = new Date();
+      const today = formatDayKey(now);
+      const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (now.getDay() + 6) % 7);
+      const weekStart = formatDayKey(monday);
+      const monthStart = today.slice(0, 8) + '01';
+
+      const sumSince = day => rows
+        .filter(row => row.day >= day)
+        .reduce((total, row) => total + row.cost, 0);
+      spendingTodayEl.textContent = formatCost(sumSince(today));
+      spendingWeekEl.textContent = formatCost(sumSince(weekStart));
+      spendingMonthEl.textContent = formatCost(sumSince(monthStart));
+
+      // Monthly rows of older spending have no per-article detail
+      const articles = new Map();
+      rows.filter(row => !row.monthly).forEach(row => {
+        const article = articles.get(row.url) || { title: row.title || row.url || 'Unknown article', url: row.url, calls: 0, unpricedCalls: 0, cost: 0, lastCall: 0 };
+        article.calls += row.calls;
+        article.unpricedCalls += row.unpricedCalls || 0;
+        article.cost += row.cost;
+        article.lastCall = Math.max(article.lastCall, row.lastCall || 0);
+        articles.set(row.url, article);
+      });
+
+      spendingArticlesList.innerHTML = '';
+      Array.from(articles.values())
+        .sort((a, b) => b.lastCall - a.lastCall)
+        .forEach(article => {
+          const li = document.createElement('li');
+          li.className = 'cached-article';
+
+          const info = document.createElement('div');
+          info.className = 'cached-article-info';
+          const title = document.createElement('div');
+          title.className = 'cached-article-title';
+          title.textContent = article.title;
+          title.title = article.url;
+          const meta = document.createElement('div');
+          meta.className = 'cached-article-meta';
+          meta.textContent = `${formatCost(article.cost)} · ${article.calls} call${article.calls === 1 ? '' : 's'}`;
+          info.append(title, meta);
+          if (article.unpricedCalls > 0) {
+            // Model without pricing - not included in the cost
+            const unpriced = document.createElement('div');
+            unpriced.className = 'cached-article-outdated';
+            unpriced.textContent = `${article.unpricedCalls} unpriced (model missing from pricing table)`;
+            info.appendChild(unpriced);
+          }
+
+          li.appendChild(info);
+          spendingArticlesList.appendChild(li);
+        });
+    });
+  }
+
+  function toCsvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Download the ledger as CSV, one row per day, provider, model and article
+  // (per month, provider and model past the ledger's retention)
+  exportSpendingBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'GET_COST_LEDGER' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showCacheStatus('Export failed', 'red');
+        return;
+      }
+
+      const header = ['date', 'provider', 'model', 'article_title', 'article_url', 'calls', 'unpriced_calls', 'prompt_tokens', 'context_tokens', 'completion_tokens', 'cost_usd'];
+      const lines = response.data.map(row => [
+        row.day, row.provider, row.model, row.title, row.url,
+        row.calls, row.unpricedCalls || 0, row.promptTokens, row.contextTokens || 0, row.completionTokens, row.cost.toFixed(6)
+      ].map(toCsvField).join(','));
+
+      const blob = new Blob([[header.join(',')].concat(lines).join('\n') + '\n'], { type: 'text/csv' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `flowreader-spending-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+  });
+
   // Check the current voice on the active tab
   function checkCurrentVoice() {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -3,384 +3,671 @@
  *
  * This file is loaded via importScripts() in background.js (service worker).
  * Retry configuration has been moved to config.js.
+ *
+ * Segmentation rules are defined per source language (LANGUAGE_RULES) and the
+ * system prompt is generated per source/target language pair.
+ */
+
+// =============================================================================
+// LANGUAGE RULES
+// =============================================================================
+
+/**
+ * Per-source-language word lists used by the system prompt and as the default
+ * lists of each language's rule pack (rules.js), which drives semantic
+ * validation. Keys match CONFIG.languages entries with `source: true`.
+ *
+ * - linkingVerbs: state/copula verbs (incl. conjugated forms) that should merge with attributes
+ * - fixedExpressions: structural "tools" learners need to recognize independently
+ * - discourseMarkers: words signalling logical/tonal shifts, isolated with their punctuation
+ * - circumstantialPrepositions: introduce time/place/manner/cause phrases that should be isolated
+ * - conjunctions: clause boundaries the model should always split at
+ * - verbIndicators / verbEndings: heuristics for startsWithVerb() (rules.js)
+ * - prompt: prompt-only material (split lists, keep-together samples, worked example)
+ */
+const LANGUAGE_RULES = {
+    fr: {
+        linkingVerbs: [
+            // être
+            'est', 'sont', 'était', 'étaient', 'sera', 'seront', 'été', 'étant',
+            'suis', 'es', 'sommes', 'êtes', 'serai', 'seras', 'serez', 'serais',
+            'serait', 'seraient', 'serions', 'seriez', 'soit', 'soient', 'fût',
+            // rester
+            'reste', 'restes', 'restent', 'restait', 'restaient', 'restera', 'resteront',
+            'restée', 'resté', 'restés', 'restées',
+            // devenir
+            'devient', 'deviennent', 'devenait', 'devenaient', 'deviendra', 'deviendront',
+            'devenu', 'devenue', 'devenus', 'devenues',
+            // sembler
+            'semble', 'sembles', 'semblent', 'semblait', 'semblaient', 'semblera',
+            // paraître
+            'paraît', 'parait', 'paraissent', 'paraissait', 'paraîtra',
+            // demeurer
+            'demeure', 'demeurent', 'demeurait', 'demeuraient'
+        ],
+        fixedExpressions: [
+            'face à',
+            'en raison de',
+            'grâce à',
+            'quant à',
+            'à cause de',
+            'au lieu de',
+            'par rapport à',
+            'en dépit de',
+            'à l\'égard de',
+            'au sein de',
+            'en vue de',
+            'à travers',
+            'au-delà de',
+            'en dehors de',
+            'à partir de',
+            'au cours de',
+            'en fonction de',
+            'à la suite de'
+        ],
+        discourseMarkers: [
+            'cependant',
+            'néanmoins',
+            'toutefois',
+            'par ailleurs',
+            'en effet',
+            'en revanche',
+            'par contre',
+            'de plus',
+            'en outre',
+            'ainsi',
+            'donc',
+            'pourtant',
+            'd\'ailleurs',
+            'autrement dit',
+            'en somme',
+            'bref'
+        ],
+        circumstantialPrepositions: [
+            // Time
+            'dès', 'depuis', 'pendant', 'après', 'avant', 'lors de', 'durant',
+            // Place/Location
+            'dans', 'entre', 'vers', 'sous', 'sur', 'derrière', 'devant',
+            // Specification/Purpose
+            'pour', 'afin de', 'avec', 'sans', 'selon', 'malgré',
+            // Manner
+            'en', 'par'
+            // Note: 'à' is too common and often grammatical, not circumstantial
+        ],
+        conjunctions: ['que', 'qui', 'où', 'dont', 'mais', 'ou', 'et', 'car', 'donc'],
+        verbIndicators: ['a', 'ont', 'va', 'vont', 'fait', 'peut', 'veut', 'doit'],
+        verbEndings: ['er', 'ir', 're', 'é', 'ée', 'és', 'ées', 'ant'],
+        prompt: {
+            prepositions: ['dès', 'depuis', 'pour', 'dans', 'entre', 'après', 'avant', 'par', 'vers', 'sous', 'sur'],
+            fixedStarts: ['Face à', 'En raison de', 'Grâce à', 'À cause de'],
+            markers: ['Cependant,', 'Toutefois,', 'En effet,', 'Par ailleurs,'],
+            linkingSamples: ['est un problème', 'reste célèbre'],
+            nounPhraseSample: 'la montée des eaux',
+            verbAdverbSample: 'a dit hier',
+            extraRules: [],
+            example: {
+                input: 'La montée des eaux est un problème récurrent dès l\'arrivée des pluies.',
+                good: ['La montée des eaux', 'est un problème récurrent', 'dès l\'arrivée des pluies.']
+            }
+        }
+    },
+
+    es: {
+        linkingVerbs: [
+            // ser
+            'es', 'son', 'era', 'eran', 'fue', 'fueron', 'será', 'serán', 'sido', 'siendo',
+            'soy', 'eres', 'somos', 'sois', 'sea', 'sean', 'sería', 'serían',
+            // estar
+            'está', 'están', 'estaba', 'estaban', 'estuvo', 'estuvieron', 'estará', 'estarán',
+            'estado', 'estoy', 'estás', 'estamos', 'esté', 'estén',
+            // parecer
+            'parece', 'parecen', 'parecía', 'parecían', 'pareció',
+            // quedar / resultar / permanecer / seguir
+            'queda', 'quedan', 'quedó', 'resulta', 'resultan', 'resultó',
+            'permanece', 'permanecen', 'permaneció', 'sigue', 'siguen', 'siguió'
+        ],
+        fixedExpressions: [
+            'frente a',
+            'debido a',
+            'gracias a',
+            'en cuanto a',
+            'a causa de',
+            'en lugar de',
+            'en vez de',
+            'con respecto a',
+            'a pesar de',
+            'en el seno de',
+            'con vistas a',
+            'a través de',
+            'más allá de',
+            'fuera de',
+            'a partir de',
+            'a lo largo de',
+            'en función de'
+        ],
+        discourseMarkers: [
+            'sin embargo',
+            'no obstante',
+            'además',
+            'por otra parte',
+            'en efecto',
+            'en cambio',
+            'por el contrario',
+            'por lo tanto',
+            'así',
+            'pues',
+            'aun así',
+            'es decir',
+            'en resumen',
+            'en fin',
+            'por cierto'
+        ],
+        circumstantialPrepositions: [
+            // Time
+            'desde', 'durante', 'después de', 'antes de',
+            // Place/Location
+            'en', 'entre', 'hacia', 'bajo', 'sobre', 'detrás de', 'delante de',
+            // Specification/Purpose
+            'para', 'con', 'sin', 'según', 'mediante',
+            // Manner
+            'por'
+            // Note: 'a' is too common and often grammatical, not circumstantial
+        ],
+        conjunctions: ['que', 'quien', 'donde', 'cuyo', 'pero', 'o', 'y', 'porque', 'aunque', 'sino'],
+        verbIndicators: ['ha', 'han', 'va', 'van', 'hace', 'puede', 'quiere', 'debe', 'hay'],
+        verbEndings: ['ar', 'er', 'ir', 'ado', 'ido', 'ando', 'iendo'],
+        prompt: {
+            prepositions: ['desde', 'durante', 'para', 'en', 'entre', 'después de', 'antes de', 'por', 'hacia', 'bajo', 'sobre'],
+            fixedStarts: ['Frente a', 'Debido a', 'Gracias a', 'A causa de'],
+            markers: ['Sin embargo,', 'No obstante,', 'En efecto,', 'Además,'],
+            linkingSamples: ['es un problema', 'sigue siendo famoso'],
+            nounPhraseSample: 'la subida de las aguas',
+            verbAdverbSample: 'dijo ayer',
+            extraRules: [],
+            example: {
+                input: 'La subida de las aguas es un problema recurrente desde la llegada de las lluvias.',
+                good: ['La subida de las aguas', 'es un problema recurrente', 'desde la llegada de las lluvias.']
+            }
+        }
+    },
+
+    de: {
+        linkingVerbs: [
+            // sein
+            'ist', 'sind', 'war', 'waren', 'bin', 'bist', 'seid', 'sei', 'wäre', 'wären', 'gewesen',
+            // werden
+            'wird', 'werden', 'wurde', 'wurden', 'geworden',
+            // bleiben
+            'bleibt', 'bleiben', 'blieb', 'blieben', 'geblieben',
+            // scheinen / wirken
+            'scheint', 'scheinen', 'schien', 'schienen', 'wirkt', 'wirken', 'wirkte'
+        ],
+        fixedExpressions: [
+            'aufgrund von',
+            'im hinblick auf',
+            'im vergleich zu',
+            'im gegensatz zu',
+            'in bezug auf',
+            'im rahmen von',
+            'mit blick auf',
+            'anstelle von',
+            'jenseits von',
+            'außerhalb von',
+            'im laufe von',
+            'in abhängigkeit von',
+            'infolge von'
+        ],
+        discourseMarkers: [
+            'jedoch',
+            'allerdings',
+            'trotzdem',
+            'außerdem',
+            'zudem',
+            'tatsächlich',
+            'dagegen',
+            'hingegen',
+            'also',
+            'deshalb',
+            'daher',
+            'dennoch',
+            'übrigens',
+            'kurzum',
+            'nämlich'
+        ],
+        circumstantialPrepositions: [
+            // Time
+            'seit', 'während', 'nach', 'vor', 'bei',
+            // Place/Location
+            'in', 'im', 'zwischen', 'unter', 'über', 'hinter', 'neben',
+            // Specification/Purpose
+            'für', 'mit', 'ohne', 'gemäß', 'laut', 'trotz', 'wegen',
+            // Manner
+            'durch'
+        ],
+        conjunctions: ['dass', 'weil', 'wenn', 'als', 'ob', 'obwohl', 'aber', 'oder', 'und', 'denn', 'sondern', 'nachdem', 'bevor'],
+        verbIndicators: ['hat', 'haben', 'hatte', 'kann', 'will', 'muss', 'soll', 'geht', 'macht'],
+        verbEndings: ['en', 'te', 'ten', 'iert', 'ierte'],
+        prompt: {
+            prepositions: ['seit', 'während', 'für', 'in', 'zwischen', 'nach', 'vor', 'durch', 'unter', 'über', 'wegen'],
+            fixedStarts: ['Aufgrund von', 'Im Hinblick auf', 'Im Vergleich zu', 'Im Gegensatz zu'],
+            markers: ['Jedoch', 'Allerdings', 'Tatsächlich', 'Außerdem'],
+            linkingSamples: ['ist ein Problem', 'bleibt berühmt'],
+            nounPhraseSample: 'der Anstieg des Wassers',
+            verbAdverbSample: 'sagte gestern',
+            extraRules: [
+                'Keep a clause-final verb (or separable prefix) with the words it completes, not alone'
+            ],
+            example: {
+                input: 'Der Anstieg des Wassers ist ein wiederkehrendes Problem seit dem Beginn der Regenzeit.',
+                good: ['Der Anstieg des Wassers', 'ist ein wiederkehrendes Problem', 'seit dem Beginn der Regenzeit.']
+            }
+        }
+    }
+};
+
+/**
+ * The same two-block sentence in every supported language, used for the
+ * INPUT/OUTPUT format example so it can be generated for any language pair.
  */
+const FORMAT_SAMPLE = {
+    en: ['The cat', 'sleeps.'],
+    fr: ['Le chat', 'dort.'],
+    es: ['El gato', 'duerme.'],
+    de: ['Die Katze', 'schläft.']
+};
+
+/**
+ * Returns the segmentation rules for a source language, falling back to the default.
+ * @param {string} sourceLang - Language code (e.g. 'fr')
+ * @returns {object} Entry from LANGUAGE_RULES
+ */
+function getLanguageRules(sourceLang) {
+    return LANGUAGE_RULES[sourceLang] || LANGUAGE_RULES[CONFIG.defaults.sourceLanguage];
+}
 
 // =============================================================================
 // SYSTEM PROMPT
 // =============================================================================
 
 /**
- * System prompt for GPT-4o-mini encoding pedagogical rules from dev/SEGMENTATION.md.
- * Designed for French-to-English translation with meaning block segmentation.
+ * Block size asked for in the prompt and enforced by the block_too_long rule (rules.js).
  */
-const SYSTEM_PROMPT = `You segment French text into meaning blocks and translate to English. Return JSON.
+const BLOCK_WORD_LIMITS = { min: 2, target: 5, max: 6 };
+
+/**
+ * Prompt revision. Part of every paragraph cache key, so bump it whenever a
+ * prompt change should stop older cached segmentations from being served.
+ */
+const PROMPT_VERSION = '1.2';
+
+/**
+ * Builds the system prompt for a language pair, encoding pedagogical rules from dev/SEGMENTATION.md.
+ * @param {string} sourceLang - Source language code (must have LANGUAGE_RULES)
+ * @param {string} targetLang - Target language code
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(sourceLang, targetLang) {
+    const rules = getLanguageRules(sourceLang);
+    const p = rules.prompt;
+    const sourceName = CONFIG.languages[sourceLang].name;
+    const targetName = CONFIG.languages[targetLang].name;
+
+    // Format example: source words in, target translations out
+    const sampleWords = FORMAT_SAMPLE[sourceLang].join(' ').split(' ');
+    const firstBlockEnd = FORMAT_SAMPLE[sourceLang][0].split(' ').length - 1;
+    const sampleInput = JSON.stringify(sampleWords.map((w, i) => ({ i: i, w: w })));
+    const sampleOutput = JSON.stringify({ blocks: [
+        { s: 0, e: firstBlockEnd, t: FORMAT_SAMPLE[targetLang][0] },
+        { s: firstBlockEnd + 1, e: sampleWords.length - 1, t: FORMAT_SAMPLE[targetLang][1] }
+    ]});
+
+    const quoted = list => list.map(item => `"${item}"`).join(' ');
+    const extraRules = p.extraRules.map(rule => `\n• ${rule}`).join('');
+
+    return `You segment ${sourceName} text into meaning blocks and translate to ${targetName}. Return JSON.
 
 === INPUT ===
-Array of words with sequential indices: [{"i":0,"w":"Le"},{"i":1,"w":"chat"},{"i":2,"w":"dort."}]
+Array of words with sequential indices: ${sampleInput}
 
 === OUTPUT (JSON) ===
-{"blocks":[{"s":0,"e":1,"t":"The cat"},{"s":2,"e":2,"t":"sleeps."}]}
+${sampleOutput}
 
 === BLOCK SIZE ===
-Target: 2-5 words per block. Maximum: 6 words. Split aggressively.
+Target: ${BLOCK_WORD_LIMITS.min}-${BLOCK_WORD_LIMITS.target} words per block. Maximum: ${BLOCK_WORD_LIMITS.max} words. Split aggressively.
 
 === ALWAYS SPLIT AT ===
-• Prepositions: dès, depuis, pour, dans, entre, après, avant, par, vers, sous, sur
-• Conjunctions: que, qui, où, dont, mais, ou, et, car, donc
-• Fixed starts: "Face à" "En raison de" "Grâce à" "À cause de"
-• Markers: "Cependant," "Toutefois," "En effet," "Par ailleurs,"
+• Prepositions: ${p.prepositions.join(', ')}
+• Conjunctions: ${rules.conjunctions.join(', ')}
+• Fixed starts: ${quoted(p.fixedStarts)}
+• Markers: ${quoted(p.markers)}
 • After long subjects (4+ words): split before the verb
-• At commas (usually)
+• At commas (usually)${extraRules}
 
 === KEEP TOGETHER (max 5 words) ===
-• Linking verb + attribute: "est un problème" "reste célèbre"
-• Short noun phrase: "la montée des eaux"
-• Verb + short adverb: "a dit hier"
+• Linking verb + attribute: ${quoted(p.linkingSamples)}
+• Short noun phrase: "${p.nounPhraseSample}"
+• Verb + short adverb: "${p.verbAdverbSample}"
 
 PUNCTUATION: Attach to preceding word, never standalone.
 
 === EXAMPLE ===
-Input: "La montée des eaux est un problème récurrent dès l'arrivée des pluies."
-Good: [La montée des eaux] [est un problème récurrent] [dès l'arrivée des pluies.]
-Bad: [La montée des eaux est un problème récurrent dès l'arrivée des pluies.] (too long!)
+Input: "${p.example.input}"
+Good: ${p.example.good.map(b => `[${b}]`).join(' ')}
+Bad: [${p.example.input}] (too long!)
 
 === CONSTRAINTS ===
 • s and e must be valid indices from input (0 to n-1)
 • Blocks must cover all words: no gaps, no overlaps
 • Blocks must be in order: each block's s > previous block's e`;
+}
 
 
-// =============================================================================
-// SEMANTIC VALIDATION
-// =============================================================================
-
 /**
- * Common French linking verbs (state/copula verbs) that should merge with attributes.
- * Includes conjugated forms.
+ * Builds the system prompt for multi-paragraph requests: the single-paragraph
+ * rules plus the batch input/output format with paragraph-scoped indices.
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @returns {string} System prompt
  */
-const LINKING_VERBS = [
-    // être
-    'est', 'sont', 'était', 'étaient', 'sera', 'seront', 'été', 'étant',
-    'suis', 'es', 'sommes', 'êtes', 'serai', 'seras', 'serez', 'serais',
-    'serait', 'seraient', 'serions', 'seriez', 'soit', 'soient', 'fût',
-    // rester
-    'reste', 'restes', 'restent', 'restait', 'restaient', 'restera', 'resteront',
-    'restée', 'resté', 'restés', 'restées',
-    // devenir
-    'devient', 'deviennent', 'devenait', 'devenaient', 'deviendra', 'deviendront',
-    'devenu', 'devenue', 'devenus', 'devenues',
-    // sembler
-    'semble', 'sembles', 'semblent', 'semblait', 'semblaient', 'semblera',
-    // paraître
-    'paraît', 'parait', 'paraissent', 'paraissait', 'paraîtra',
-    // demeurer
-    'demeure', 'demeurent', 'demeurait', 'demeuraient'
-];
+function buildBatchSystemPrompt(sourceLang, targetLang) {
+    return buildSystemPrompt(sourceLang, targetLang) + `
+
+=== BATCH MODE ===
+The input contains several paragraphs: {"paragraphs":[{"p":0,"words":[...]},{"p":1,"words":[...]}]}
+Segment each paragraph independently. Word indices restart at 0 in every paragraph.
+Output every paragraph, in order, with its "p" id: {"paragraphs":[{"p":0,"blocks":[...]},{"p":1,"blocks":[...]}]}
+Blocks never span two paragraphs.`;
+}
+
 
 /**
- * Fixed/structural expressions that should be isolated as single blocks.
- * These are "tools" learners need to recognize independently.
+ * Builds the extra system message that carries the preceding paragraphs of the
+ * document. Sent after the static system prompt, so prompt fingerprints and
+ * provider prompt caching are unaffected.
+ * @param {Array<{ text: string, translation: string|null }>} paragraphs - Previous paragraphs, oldest first
+ * @returns {string} System message
  */
-const FIXED_EXPRESSIONS = [
-    'face à',
-    'en raison de',
-    'grâce à',
-    'quant à',
-    'à cause de',
-    'au lieu de',
-    'par rapport à',
-    'en dépit de',
-    'à l\'égard de',
-    'au sein de',
-    'en vue de',
-    'à travers',
-    'au-delà de',
-    'en dehors de',
-    'à partir de',
-    'au cours de',
-    'en fonction de',
-    'à la suite de'
-];
+function buildContextPrompt(paragraphs) {
+    const lines = paragraphs.map(paragraph => JSON.stringify(
+        paragraph.translation ? { text: paragraph.text, translation: paragraph.translation } : { text: paragraph.text }));
+
+    return `=== CONTEXT (DO NOT SEGMENT) ===
+These paragraphs come right before the input, with the translations already chosen for them:
+${lines.join('\n')}
+Use them only to resolve pronouns, ellipses and references, and to translate recurring terms the same way.
+Do NOT segment or translate them. Blocks and word indices refer to the input words only.`;
+}
+
 
 /**
- * Discourse markers that signal logical/tonal shifts.
- * Should be isolated with their punctuation.
+ * Builds the system prompt for translating a few fragments of a paragraph on
+ * their own (blocks whose translation no longer matches their words after repair).
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @returns {string} System prompt
  */
-const DISCOURSE_MARKERS = [
-    'cependant',
-    'néanmoins',
-    'toutefois',
-    'par ailleurs',
-    'en effet',
-    'en revanche',
-    'par contre',
-    'de plus',
-    'en outre',
-    'ainsi',
-    'donc',
-    'pourtant',
-    'd\'ailleurs',
-    'autrement dit',
-    'en somme',
-    'bref'
-];
+function buildSpanTranslationPrompt(sourceLang, targetLang) {
+    const sourceName = CONFIG.languages[sourceLang].name;
+    const targetName = CONFIG.languages[targetLang].name;
+
+    return `You translate fragments of a ${sourceName} paragraph to ${targetName}. Return JSON.
+
+=== INPUT ===
+{"paragraph":"the full paragraph","spans":[{"i":0,"text":"a fragment of it"}]}
+
+=== OUTPUT (JSON) ===
+{"translations":[{"i":0,"t":"translation of the fragment"}]}
+
+Translate each fragment on its own, as it is meant in the paragraph. Translate only the fragment's words, never the rest of the paragraph.`;
+}
+
 
 /**
- * Circumstantial prepositions that introduce phrases which should be isolated.
- * These indicate time, place, manner, cause, or specification.
+ * Builds the system prompt for the terminology pass: recurring terms of one
+ * article that were translated differently in different paragraphs.
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @returns {string} System prompt
  */
-const CIRCUMSTANTIAL_PREPOSITIONS = [
-    // Time
-    'dès', 'depuis', 'pendant', 'après', 'avant', 'lors de', 'durant',
-    // Place/Location
-    'dans', 'entre', 'vers', 'sous', 'sur', 'derrière', 'devant',
-    // Specification/Purpose
-    'pour', 'afin de', 'avec', 'sans', 'selon', 'malgré',
-    // Manner
-    'en', 'par'
-    // Note: 'à' is too common and often grammatical, not circumstantial
-];
+function buildTerminologyPrompt(sourceLang, targetLang) {
+    const sourceName = CONFIG.languages[sourceLang].name;
+    const targetName = CONFIG.languages[targetLang].name;
+
+    return `You make the ${targetName} translation of a ${sourceName} article consistent. Return JSON.
+
+=== INPUT ===
+{"terms":[{"i":0,"source":"a recurring term","translations":[{"t":"one rendering","n":3},{"t":"another","n":1}],"examples":["a paragraph using the term"]}]}
+Each term is a noun phrase or name that occurs several times in the article; "n" counts how often each rendering was used.
+
+=== OUTPUT (JSON) ===
+{"terms":[{"i":0,"t":"the rendering to use everywhere"}]}
+
+Pick one rendering per term that fits every occurrence, normally one of the given ones. Keep proper names as they are usually written in ${targetName}.
+Write each rendering as it would appear mid-sentence: keep the capitals of names and of words ${targetName} always capitalizes, lowercase otherwise.
+Do not add punctuation. Output every term once.`;
+}
 
 /**
- * Check if a word appears to be a verb (simple heuristic).
- * @param {string} text - Word or phrase to check
- * @returns {boolean}
+ * Builds the extra system message listing the user's glossary entries that
+ * occur in the input. Like the context message, it follows the static prompt.
+ * @param {Array<{ source: string, translation: string, note?: string }>} entries - Matching glossary entries
+ * @returns {string} System message
  */
-function startsWithVerb(text) {
-    if (!text) return false;
-    const firstWord = text.toLowerCase().split(/\s+/)[0].replace(/[.,;:!?'"]/g, '');
-    // Common French verb endings and auxiliary verbs
-    const verbIndicators = ['a', 'ont', 'va', 'vont', 'fait', 'peut', 'veut', 'doit'];
-    const verbEndings = ['er', 'ir', 're', 'é', 'ée', 'és', 'ées', 'ant'];
-
-    if (verbIndicators.includes(firstWord)) return true;
-    for (const ending of verbEndings) {
-        if (firstWord.endsWith(ending) && firstWord.length > 3) return true;
-    }
-    return false;
+function buildGlossaryPrompt(entries) {
+    const lines = entries.map(entry =>
+        `• "${entry.source}" → "${entry.translation}"` + (entry.note ? ` (${entry.note})` : ''));
+
+    return `=== GLOSSARY (USER-DEFINED) ===
+The reader's glossary for this subject. Where a term below occurs, translate it with the given translation,
+even if another rendering is more common:
+${lines.join('\n')}`;
 }
 
 /**
- * Check for linking verbs that are isolated when they should merge with the next block.
- * @param {Array} blocks - Array of block objects with 'original' field
- * @returns {Array} Array of violation objects
+ * Builds few-shot turns from curated segmentations: per example, the input as
+ * the model receives it and the expected answer. They go between the system
+ * messages and the real input, so the static prompt stays unchanged.
+ * @param {Array<{ words: string[], blocks: Array<{s: number, e: number, t: string}> }>} examples
+ * @param {boolean} batch - Use the batch input/output format (buildBatchSystemPrompt)
+ * @returns {Array<{ role: string, content: string }>} user/assistant message pairs
  */
-function checkLinkingVerbIsolation(blocks) {
-    const violations = [];
-
-    for (let i = 0; i < blocks.length - 1; i++) {
-        const block = blocks[i];
-        const original = block.original || '';
-        const words = original.toLowerCase().split(/\s+/).filter(w => w.length > 0);
-
-        if (words.length === 0) continue;
-
-        // Get last word, stripping punctuation
-        const lastWord = words[words.length - 1].replace(/[.,;:!?'"]/g, '');
-
-        // Check if block ends with a linking verb and is short (1-2 words)
-        if (LINKING_VERBS.includes(lastWord) && words.length <= 2) {
-            const nextBlock = blocks[i + 1];
-
-            // If next block doesn't start with a verb, this linking verb should have merged
-            if (nextBlock && !startsWithVerb(nextBlock.original)) {
-                violations.push({
-                    type: 'linking_verb_isolated',
-                    message: `Linking verb "${block.original}" should merge with "${nextBlock.original}"`,
-                    severity: 'error',
-                    blockIndex: i,
-                    suggestion: `${block.original} ${nextBlock.original}`.replace(/\s+/g, ' ')
-                });
-            }
+function buildFewShotMessages(examples, batch) {
+    return examples.flatMap(example => {
+        const words = example.words.map((w, i) => ({ i: i, w: w }));
+        const blocks = example.blocks.map(block => ({ s: block.s, e: block.e, t: block.t }));
+        if (batch) {
+            return [
+                { role: 'user', content: JSON.stringify({ paragraphs: [{ p: 0, words: words }] }) },
+                { role: 'assistant', content: JSON.stringify({ paragraphs: [{ p: 0, blocks: blocks }] }) }
+            ];
         }
-    }
-
-    return violations;
+        return [
+            { role: 'user', content: JSON.stringify(words) },
+            { role: 'assistant', content: JSON.stringify({ blocks: blocks }) }
+        ];
+    });
 }
 
+// =============================================================================
+// RESPONSE SCHEMA
+// The block response as JSON Schema. Sent as a strict structured-output schema
+// to providers that support it (settings.structuredOutputs) and checked locally
+// against every provider's output before structural validation.
+// =============================================================================
+
 /**
- * Check for fixed expressions that are buried inside larger blocks.
- * @param {Array} blocks - Array of block objects with 'original' field
- * @returns {Array} Array of violation objects
+ * One paragraph's response: blocks of word indices s..e with translation t.
  */
-function checkFixedExpressionBuried(blocks) {
-    const violations = [];
-
-    for (let i = 0; i < blocks.length; i++) {
-        const original = (blocks[i].original || '').toLowerCase();
-
-        for (const expr of FIXED_EXPRESSIONS) {
-            // Check if block STARTS with the expression but contains more
-            if (original.startsWith(expr)) {
-                const remainder = original.slice(expr.length).trim();
-                // If there's significant content after the expression, it should be split
-                if (remainder.length > 3 && !remainder.match(/^[.,;:!?'"]+$/)) {
-                    violations.push({
-                        type: 'fixed_expression_buried',
-                        message: `"${expr}" should be isolated, found buried in "${blocks[i].original}"`,
-                        severity: 'warning',
-                        blockIndex: i,
-                        suggestion: `Split into: [${expr}] [${remainder}]`
-                    });
-                }
+const BLOCK_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        blocks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    s: { type: 'integer', minimum: 0 },
+                    e: { type: 'integer', minimum: 0 },
+                    t: { type: 'string' }
+                },
+                required: ['s', 'e', 't'],
+                additionalProperties: false
             }
         }
-    }
-
-    return violations;
-}
+    },
+    required: ['blocks'],
+    additionalProperties: false
+};
 
 /**
- * Check for discourse markers that are absorbed into larger blocks.
- * @param {Array} blocks - Array of block objects with 'original' field
- * @returns {Array} Array of violation objects
+ * A batch response: one entry per input paragraph, identified by p.
  */
-function checkDiscourseMarkerAbsorbed(blocks) {
-    const violations = [];
-
-    for (let i = 0; i < blocks.length; i++) {
-        const original = (blocks[i].original || '').toLowerCase();
-        const words = original.split(/\s+/).filter(w => w.length > 0);
-
-        if (words.length <= 1) continue; // Single word blocks are fine
-
-        // Check if first word (minus punctuation) is a discourse marker
-        const firstWord = words[0].replace(/[.,;:!?'"]/g, '');
-
-        if (DISCOURSE_MARKERS.includes(firstWord)) {
-            // Discourse marker should be isolated (possibly with punctuation)
-            // If block has more than just the marker + punctuation, it's absorbed
-            const withoutMarker = words.slice(1).join(' ').replace(/^[.,;:!?'"]+\s*/, '');
-            if (withoutMarker.length > 0) {
-                violations.push({
-                    type: 'discourse_marker_absorbed',
-                    message: `Discourse marker "${firstWord}" should be isolated, found in "${blocks[i].original}"`,
-                    severity: 'warning',
-                    blockIndex: i,
-                    suggestion: `Split into: [${firstWord},] [${withoutMarker}]`
-                });
+const BATCH_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        paragraphs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    p: { type: 'integer', minimum: 0 },
+                    blocks: BLOCK_RESPONSE_SCHEMA.properties.blocks
+                },
+                required: ['p', 'blocks'],
+                additionalProperties: false
             }
         }
-    }
-
-    return violations;
-}
+    },
+    required: ['paragraphs'],
+    additionalProperties: false
+};
 
 /**
- * Check for orphan punctuation (punctuation as standalone blocks).
- * @param {Array} blocks - Array of block objects with 'original' field
- * @returns {Array} Array of violation objects
+ * Translations of paragraph fragments (see buildSpanTranslationPrompt).
  */
-function checkOrphanPunctuation(blocks) {
-    const violations = [];
-
-    for (let i = 0; i < blocks.length; i++) {
-        const original = (blocks[i].original || '').trim();
-
-        // Check if block is only punctuation
-        if (original.match(/^[.,;:!?'"«»—–-]+$/)) {
-            violations.push({
-                type: 'orphan_punctuation',
-                message: `Punctuation "${original}" should attach to preceding block`,
-                severity: 'error',
-                blockIndex: i,
-                suggestion: i > 0 ? `Merge with previous block` : `Remove or merge`
-            });
+const SPAN_TRANSLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        translations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    i: { type: 'integer', minimum: 0 },
+                    t: { type: 'string' }
+                },
+                required: ['i', 't'],
+                additionalProperties: false
+            }
         }
-    }
-
-    return violations;
-}
+    },
+    required: ['translations'],
+    additionalProperties: false
+};
 
 /**
- * Check for circumstantial phrases buried inside larger blocks.
- * Circumstantial phrases (time, place, manner, cause) should be isolated.
- * @param {Array} blocks - Array of block objects with 'original' field
- * @returns {Array} Array of violation objects
+ * Chosen renderings of recurring terms (see buildTerminologyPrompt).
  */
-function checkCircumstantialPhraseBuried(blocks) {
-    const violations = [];
-
-    for (let i = 0; i < blocks.length; i++) {
-        const original = (blocks[i].original || '').toLowerCase();
-        const words = original.split(/\s+/).filter(w => w.length > 0);
-
-        // Skip short blocks (3 words or less) - they're probably fine
-        if (words.length <= 3) continue;
-
-        // Look for circumstantial prepositions in the middle of the block
-        for (let j = 1; j < words.length - 1; j++) {
-            const word = words[j].replace(/[.,;:!?'"]/g, '');
-
-            // Check single-word prepositions
-            if (CIRCUMSTANTIAL_PREPOSITIONS.includes(word)) {
-                // This preposition is buried in the middle of a block
-                const beforePrep = words.slice(0, j).join(' ');
-                const fromPrep = words.slice(j).join(' ');
-
-                // Only flag if there's substantial content before AND after
-                if (beforePrep.length > 3 && fromPrep.length > 5) {
-                    violations.push({
-                        type: 'circumstantial_phrase_buried',
-                        message: `Circumstantial phrase starting with "${word}" should be isolated in "${blocks[i].original}"`,
-                        severity: 'warning',
-                        blockIndex: i,
-                        suggestion: `Split into: [${beforePrep}] [${fromPrep}]`
-                    });
-                    break; // Only report first violation per block
-                }
-            }
-
-            // Check two-word prepositions (e.g., "lors de")
-            if (j < words.length - 1) {
-                const twoWords = word + ' ' + words[j + 1].replace(/[.,;:!?'"]/g, '');
-                if (CIRCUMSTANTIAL_PREPOSITIONS.includes(twoWords)) {
-                    const beforePrep = words.slice(0, j).join(' ');
-                    const fromPrep = words.slice(j).join(' ');
-
-                    if (beforePrep.length > 3 && fromPrep.length > 8) {
-                        violations.push({
-                            type: 'circumstantial_phrase_buried',
-                            message: `Circumstantial phrase starting with "${twoWords}" should be isolated in "${blocks[i].original}"`,
-                            severity: 'warning',
-                            blockIndex: i,
-                            suggestion: `Split into: [${beforePrep}] [${fromPrep}]`
-                        });
-                        break;
-                    }
-                }
+const TERMINOLOGY_SCHEMA = {
+    type: 'object',
+    properties: {
+        terms: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    i: { type: 'integer', minimum: 0 },
+                    t: { type: 'string' }
+                },
+                required: ['i', 't'],
+                additionalProperties: false
             }
         }
+    },
+    required: ['terms'],
+    additionalProperties: false
+};
+
+/**
+ * Validates a value against the subset of JSON Schema used by the response
+ * schemas (type, properties, required, additionalProperties, items, minItems, minimum).
+ * @param {*} value - Parsed model output
+ * @param {object} schema
+ * @param {string} [path=''] - Location of value, for error messages
+ * @returns {string[]} Errors such as 'blocks[2].t: expected string'; empty if valid
+ */
+function validateSchema(value, schema, path = '') {
+    const where = path || 'response';
+    const typeOk = {
+        object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+        array: v => Array.isArray(v),
+        integer: v => Number.isInteger(v),
+        number: v => typeof v === 'number' && isFinite(v),
+        string: v => typeof v === 'string'
+    };
+
+    if (schema.type && !typeOk[schema.type](value)) {
+        return [`${where}: expected ${schema.type}`];
     }
 
-    return violations;
+    const errors = [];
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where}: must be >= ${schema.minimum}`);
+    }
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${where}: expected at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+        });
+        Object.keys(value).forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateSchema(value[key], properties[key], childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${childPath}: unexpected property`);
+            }
+        });
+    }
+    return errors;
 }
 
+
+// =============================================================================
+// SEMANTIC VALIDATION
+// =============================================================================
+
 /**
  * Validate semantic correctness of blocks against pedagogical rules.
+ * The rules themselves live in a rule pack (see rules.js).
  * @param {Array} blocks - Array of block objects from LLM response
  * @param {Array} words - Original word data (for context, currently unused)
+ * @param {object} rulePack - Rule pack for the source language
+ * @param {Array<object>} [glossary] - Glossary entries that apply to the paragraph
  * @returns {{ valid: boolean, violations: Array, shouldRetry: boolean }}
  */
-function validateSemantics(blocks, words) {
-    const violations = [];
-
-    // Run all semantic checks
-    violations.push(...checkLinkingVerbIsolation(blocks));
-    violations.push(...checkFixedExpressionBuried(blocks));
-    violations.push(...checkDiscourseMarkerAbsorbed(blocks));
-    violations.push(...checkOrphanPunctuation(blocks));
-    violations.push(...checkCircumstantialPhraseBuried(blocks));
+function validateSemantics(blocks, words, rulePack, glossary) {
+    const violations = evaluateRulePack(blocks, rulePack, glossary);
 
-    // Determine if we should retry based on violation severity
-    const hasErrors = violations.some(v => v.severity === 'error');
-    const hasWarnings = violations.some(v => v.severity === 'warning');
+    // Determine if we should retry based on the pack's retry policy
+    // ('info' violations are fixed locally and never cause a retry)
+    const policy = rulePack.retryPolicy;
+    const errorCount = violations.filter(v => v.severity === 'error').length;
+    const warningCount = violations.filter(v => v.severity === 'warning').length;
 
     return {
-        valid: !hasErrors,
+        valid: errorCount === 0,
         violations: violations,
-        // Retry on errors, optionally on warnings
-        shouldRetry: hasErrors || (hasWarnings && violations.length >= 2)
+        shouldRetry: (policy.error > 0 && errorCount >= policy.error) ||
+            (policy.warning > 0 && warningCount >= policy.warning)
     };
 }
 
@@ -0,0 +1,193 @@
+/**
+ * providers.js - LLM provider adapters for meaning-block partitioning.
+ *
+ * This file is loaded via importScripts() in background.js (service worker).
+ * Each adapter turns a provider-neutral message list into an HTTP request,
+ * extracts the model's text content from the response, and maps the
+ * provider's token usage onto { promptTokens, completionTokens, cachedPromptTokens }.
+ */
+
+// =============================================================================
+// OPENAI-COMPATIBLE HELPERS
+// Shared by OpenAI and local servers (Ollama, llama.cpp) that speak the same API
+// =============================================================================
+
+/**
+ * Builds a chat completions request. With settings.structuredOutputs the response
+ * schema is sent as a strict json_schema response format, otherwise
+ * settings.responseFormat (json_object) is used.
+ * @param {object} settings - Resolved provider settings (see getProviderSettings)
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {{ temperature: number, schema?: { name: string, schema: object } }} options - Per-attempt options
+ * @returns {{ url: string, init: RequestInit }}
+ */
+function buildChatCompletionsRequest(settings, messages, options) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+        headers['Authorization'] = 'Bearer ' + settings.apiKey;
+    }
+
+    const body = {
+        model: settings.model,
+        messages: messages,
+        temperature: options.temperature
+    };
+    if (options.schema && settings.structuredOutputs) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: options.schema.name, strict: true, schema: options.schema.schema }
+        };
+    } else if (settings.responseFormat) {
+        body.response_format = settings.responseFormat;
+    }
+
+    return {
+        url: settings.endpoint,
+        init: { method: 'POST', headers: headers, body: JSON.stringify(body) }
+    };
+}
+
+function extractChatCompletionsContent(data) {
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+        throw new Error('Unexpected response shape: missing choices[0].message');
+    }
+    return data.choices[0].message.content || '';
+}
+
+function extractChatCompletionsUsage(data) {
+    const usage = data.usage || {};
+    const details = usage.prompt_tokens_details || {};
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        // Included in prompt_tokens, billed at the cached-input rate
+        cachedPromptTokens: details.cached_tokens || 0
+    };
+}
+
+function extractErrorMessage(errorData) {
+    if (!errorData) return null;
+    if (errorData.error && typeof errorData.error === 'object') return errorData.error.message || null;
+    if (typeof errorData.error === 'string') return errorData.error;
+    return errorData.message || null;
+}
+
+// =============================================================================
+// PROVIDER REGISTRY
+// =============================================================================
+
+const PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        requiresApiKey: true,
+        buildRequest: buildChatCompletionsRequest,
+        extractContent: extractChatCompletionsContent,
+        extractUsage: extractChatCompletionsUsage,
+        extractError: extractErrorMessage
+    },
+
+    anthropic: {
+        label: 'Anthropic',
+        requiresApiKey: true,
+
+        /**
+         * Builds an Anthropic Messages API request.
+         * System messages are lifted into the top-level `system` field.
+         */
+        buildRequest(settings, messages, options) {
+            const system = messages
+                .filter(m => m.role === 'system')
+                .map(m => m.content)
+                .join('\n\n');
+            const conversation = messages.filter(m => m.role !== 'system');
+
+            const body = {
+                model: settings.model,
+                max_tokens: settings.maxTokens,
+                system: system,
+                messages: conversation,
+                temperature: options.temperature
+            };
+
+            return {
+                url: settings.endpoint,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': settings.apiKey,
+                        'anthropic-version': settings.apiVersion,
+                        // Required for calls made from an extension service worker
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body: JSON.stringify(body)
+                }
+            };
+        },
+
+        extractContent(data) {
+            if (!Array.isArray(data.content)) {
+                throw new Error('Unexpected response shape: missing content array');
+            }
+            return data.content
+                .filter(part => part.type === 'text')
+                .map(part => part.text)
+                .join('');
+        },
+
+        extractUsage(data) {
+            const usage = data.usage || {};
+            // Cache reads are reported separately from input_tokens
+            const cachedPromptTokens = usage.cache_read_input_tokens || 0;
+            return {
+                promptTokens: (usage.input_tokens || 0) + cachedPromptTokens,
+                completionTokens: usage.output_tokens || 0,
+                cachedPromptTokens: cachedPromptTokens
+            };
+        },
+
+        extractError: extractErrorMessage
+    },
+
+    local: {
+        label: 'Local (OpenAI-compatible)',
+        requiresApiKey: false,
+        buildRequest: buildChatCompletionsRequest,
+        extractContent: extractChatCompletionsContent,
+        extractUsage: extractChatCompletionsUsage,
+        extractError: extractErrorMessage
+    }
+};
+
+/**
+ * Returns the adapter for a provider id, falling back to the default provider.
+ * @param {string} providerId - Provider id ('openai', 'anthropic', 'local')
+ * @returns {object} Provider adapter
+ */
+function getProvider(providerId) {
+    return PROVIDERS[providerId] || PROVIDERS[CONFIG.api.defaultProvider];
+}
+
+/**
+ * Resolves the active provider and its settings from chrome.storage.sync,
+ * layering user overrides (key, model, endpoint) over CONFIG.api.providers.
+ * @returns {Promise<{ provider: string, apiKey: string, model: string, endpoint: string }>}
+ */
+async function getProviderSettings() {
+    const stored = await chrome.storage.sync.get([
+        'llmProvider',
+        'openaiApiKey', 'anthropicApiKey', 'localApiKey',
+        'openaiModel', 'anthropicModel', 'localModel',
+        'localEndpoint'
+    ]);
+
+    const providerId = PROVIDERS[stored.llmProvider] ? stored.llmProvider : CONFIG.api.defaultProvider;
+    const defaults = CONFIG.api.providers[providerId];
+
+    return Object.assign({}, defaults, {
+        provider: providerId,
+        apiKey: stored[providerId + 'ApiKey'] || '',
+        model: stored[providerId + 'Model'] || defaults.model,
+        endpoint: (providerId === 'local' && stored.localEndpoint) || defaults.endpoint
+    });
+}
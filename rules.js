@@ -0,0 +1,442 @@
+/**
+ * rules.js - Rule packs for semantic validation of meaning blocks.
+ *
+ * This file is loaded via importScripts() in background.js (service worker)
+ * and by options.html (rule pack editor). It relies on LANGUAGE_RULES from
+ * prompts.js for the default word lists.
+ *
+ * A rule pack holds everything validateSemantics() needs for one source
+ * language, as data:
+ * - lists: named word lists (linkingVerbs, discourseMarkers, ...)
+ * - rules: what to look for (trigger), when it counts (condition), how bad it
+ *   is (severity) and what to tell the model/user (message and suggestion templates)
+ * - retryPolicy: how many violations of each severity make a paragraph retry
+ *
+ * Packs edited on the options page are stored per language in
+ * chrome.storage.local (CONFIG.rulePacks.storagePrefix + language).
+ */
+
+// =============================================================================
+// RULE DEFINITIONS
+// =============================================================================
+
+const RULE_PACK_VERSION = 1;
+
+/**
+ * Where a rule looks for its trigger in a block:
+ * - last_word / first_word: the block's last / first word is in the list
+ * - starts_with: the block starts with a phrase from the list
+ * - inner_word: a word (or two-word phrase) from the list occurs after the first word
+ * - pattern: the whole block matches the regular expression
+ * - word_count: the block has more than condition.maxWords words
+ * - glossary: the block contains a glossary term but its translation lacks the
+ *   glossary's preferred translation
+ */
+const RULE_TRIGGER_TYPES = ['last_word', 'first_word', 'starts_with', 'inner_word', 'pattern', 'word_count', 'glossary'];
+
+/**
+ * 'off' disables a rule; 'info' violations are reported but never cause a retry.
+ */
+const RULE_SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+/**
+ * Default rules, shared by all languages; the word lists they name come from
+ * each language's pack. Templates can use {block}, {next}, {trigger}, {before},
+ * {after}, {count}, {max} and {expected}.
+ */
+const DEFAULT_RULES = [
+    {
+        id: 'linking_verb_isolated',
+        description: 'A short block ending in a linking verb should merge with the attribute that follows',
+        trigger: { type: 'last_word', list: 'linkingVerbs' },
+        condition: { maxWords: 2, nextNotVerb: true },
+        severity: 'error',
+        message: 'Linking verb "{block}" should merge with "{next}"',
+        suggestion: '{block} {next}'
+    },
+    {
+        id: 'fixed_expression_buried',
+        description: 'Fixed expressions should be blocks of their own',
+        trigger: { type: 'starts_with', list: 'fixedExpressions' },
+        condition: { minAfterChars: 4 },
+        severity: 'warning',
+        message: '"{trigger}" should be isolated, found buried in "{block}"',
+        suggestion: 'Split into: [{trigger}] [{after}]'
+    },
+    {
+        id: 'discourse_marker_absorbed',
+        description: 'Discourse markers should be isolated with their punctuation',
+        trigger: { type: 'first_word', list: 'discourseMarkers' },
+        condition: { minAfterChars: 1 },
+        severity: 'warning',
+        message: 'Discourse marker "{trigger}" should be isolated, found in "{block}"',
+        suggestion: 'Split into: [{trigger},] [{after}]'
+    },
+    {
+        id: 'orphan_punctuation',
+        description: 'Punctuation attaches to the preceding block',
+        trigger: { type: 'pattern', pattern: '^[.,;:!?\'"«»—–-]+$' },
+        condition: {},
+        severity: 'error',
+        message: 'Punctuation "{block}" should attach to preceding block',
+        suggestion: 'Merge with previous block'
+    },
+    {
+        id: 'circumstantial_phrase_buried',
+        description: 'Time, place, manner and cause phrases should start their own block',
+        trigger: { type: 'inner_word', list: 'circumstantialPrepositions' },
+        condition: { minWords: 4, minBeforeChars: 4, minAfterChars: 1 },
+        severity: 'warning',
+        message: 'Circumstantial phrase starting with "{trigger}" should be isolated in "{block}"',
+        suggestion: 'Split into: [{before}] [{trigger} {after}]'
+    },
+    {
+        // Split locally (splitOversizedBlocks in background.js) rather than retried
+        id: 'block_too_long',
+        description: 'Blocks over the maximum length are split at a preposition, conjunction or comma',
+        trigger: { type: 'word_count' },
+        condition: { maxWords: BLOCK_WORD_LIMITS.max, splitAt: ['circumstantialPrepositions', 'prepositions', 'conjunctions'] },
+        severity: 'info',
+        message: 'Block has {count} words (max {max}): "{block}"',
+        suggestion: 'Split into: [{before}] [{after}]'
+    },
+    {
+        id: 'glossary_ignored',
+        description: 'Glossary terms use the translation from your glossary',
+        trigger: { type: 'glossary' },
+        condition: {},
+        severity: 'warning',
+        message: 'Glossary: "{trigger}" should be translated as "{expected}" in "{block}"',
+        suggestion: 'Translate "{trigger}" as "{expected}"'
+    }
+];
+
+/**
+ * Retry when a paragraph has at least this many violations of a severity (0 = never).
+ */
+const DEFAULT_RETRY_POLICY = { error: 1, warning: 2 };
+
+/**
+ * Builds the built-in rule pack for a source language from LANGUAGE_RULES.
+ * @param {string} sourceLang - Source language code
+ * @returns {object} Rule pack
+ */
+function buildDefaultRulePack(sourceLang) {
+    const rules = getLanguageRules(sourceLang);
+    return {
+        version: RULE_PACK_VERSION,
+        language: sourceLang,
+        lists: {
+            linkingVerbs: rules.linkingVerbs.slice(),
+            fixedExpressions: rules.fixedExpressions.slice(),
+            discourseMarkers: rules.discourseMarkers.slice(),
+            circumstantialPrepositions: rules.circumstantialPrepositions.slice(),
+            prepositions: rules.prompt.prepositions.slice(),
+            conjunctions: rules.conjunctions.slice(),
+            verbIndicators: rules.verbIndicators.slice(),
+            verbEndings: rules.verbEndings.slice()
+        },
+        rules: JSON.parse(JSON.stringify(DEFAULT_RULES)),
+        retryPolicy: Object.assign({}, DEFAULT_RETRY_POLICY)
+    };
+}
+
+/**
+ * Checks that a (user-edited) rule pack can be evaluated.
+ * @param {object} pack
+ * @returns {string[]} Problems found; empty if the pack is usable
+ */
+function validateRulePack(pack) {
+    if (!pack || typeof pack !== 'object') return ['Rule pack must be an object'];
+    if (pack.version !== RULE_PACK_VERSION) return [`Unsupported rule pack version ${pack.version} (expected ${RULE_PACK_VERSION})`];
+
+    const errors = [];
+    const lists = pack.lists || {};
+    Object.keys(lists).forEach(name => {
+        if (!Array.isArray(lists[name]) || lists[name].some(item => typeof item !== 'string')) {
+            errors.push(`List "${name}" must be an array of strings`);
+        }
+    });
+
+    if (!Array.isArray(pack.rules)) {
+        errors.push('"rules" must be an array');
+    } else {
+        pack.rules.forEach((rule, i) => {
+            const name = rule && rule.id ? `Rule "${rule.id}"` : `Rule ${i}`;
+            if (!rule || typeof rule.id !== 'string') errors.push(`${name}: missing id`);
+            if (!rule || !rule.trigger || !RULE_TRIGGER_TYPES.includes(rule.trigger.type)) {
+                errors.push(`${name}: trigger.type must be one of ${RULE_TRIGGER_TYPES.join(', ')}`);
+                return;
+            }
+            if (!RULE_SEVERITIES.includes(rule.severity)) {
+                errors.push(`${name}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+            }
+            if (typeof rule.message !== 'string') errors.push(`${name}: missing message`);
+            if (rule.trigger.type === 'pattern') {
+                // An empty pattern would match every block
+                if (typeof rule.trigger.pattern !== 'string' || rule.trigger.pattern.length === 0) {
+                    errors.push(`${name}: pattern trigger needs a non-empty "pattern"`);
+                }
+                try {
+                    new RegExp(rule.trigger.pattern, 'i');
+                } catch (err) {
+                    errors.push(`${name}: invalid pattern (${err.message})`);
+                }
+            } else if (!['word_count', 'glossary'].includes(rule.trigger.type) && !Array.isArray(rule.trigger.words) && !lists[rule.trigger.list]) {
+                errors.push(`${name}: trigger needs "words" or the name of a list in "lists"`);
+            }
+            const maxWords = rule.condition && rule.condition.maxWords;
+            if (rule.trigger.type === 'word_count' && !(Number.isInteger(maxWords) && maxWords >= 1)) {
+                errors.push(`${name}: word_count trigger needs condition.maxWords (a whole number, at least 1)`);
+            }
+        });
+
+        // Built-in rules are turned off, not deleted: withDefaultRules would add them back
+        const ids = new Set(pack.rules.map(rule => rule && rule.id));
+        DEFAULT_RULES.filter(rule => !ids.has(rule.id)).forEach(rule => {
+            errors.push(`Rule "${rule.id}" is built in and can't be deleted: set its severity to "off" instead`);
+        });
+    }
+
+    const policy = pack.retryPolicy || {};
+    ['error', 'warning'].forEach(severity => {
+        if (!Number.isInteger(policy[severity]) || policy[severity] < 0) {
+            errors.push(`retryPolicy.${severity} must be a whole number (0 = never retry)`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Adds default rules a saved pack doesn't have yet (rules introduced after it
+ * was saved), so they apply with their default severity until edited. Run
+ * before validateRulePack, which rejects packs without every default rule.
+ * @param {object} pack - Rule pack
+ * @returns {object} The pack, with missing default rules appended
+ */
+function withDefaultRules(pack) {
+    if (!pack || !Array.isArray(pack.rules)) return pack;
+    const ids = new Set(pack.rules.map(rule => rule.id));
+    const missing = DEFAULT_RULES.filter(rule => !ids.has(rule.id));
+    if (missing.length === 0) return pack;
+    return Object.assign({}, pack, { rules: pack.rules.concat(JSON.parse(JSON.stringify(missing))) });
+}
+
+// =============================================================================
+// RULE EVALUATION
+// =============================================================================
+
+const PUNCTUATION = /[.,;:!?'"«»]/g;
+
+/**
+ * Check if a word appears to be a verb (simple heuristic).
+ * @param {string} text - Word or phrase to check
+ * @param {object} lists - Rule pack lists (verbIndicators, verbEndings)
+ * @returns {boolean}
+ */
+function startsWithVerb(text, lists) {
+    if (!text) return false;
+    const firstWord = text.toLowerCase().split(/\s+/)[0].replace(PUNCTUATION, '');
+
+    // Common verb endings and auxiliary verbs for the source language
+    if ((lists.verbIndicators || []).includes(firstWord)) return true;
+    for (const ending of lists.verbEndings || []) {
+        if (firstWord.endsWith(ending) && firstWord.length > 3) return true;
+    }
+    return false;
+}
+
+/**
+ * Picks where to split an oversized block: before a word from the split lists,
+ * or after a comma, closest to the middle; the middle itself if there is none.
+ * @param {string[]} words - The block's words
+ * @param {Set<string>} splitWords - Words a new block may start with
+ * @returns {number} Index of the first word of the second half (1..words.length-1)
+ */
+function findBlockSplit(words, splitWords) {
+    const middle = words.length / 2;
+
+    let best = null;
+    for (let j = 1; j < words.length; j++) {
+        const word = words[j].toLowerCase().replace(PUNCTUATION, '');
+        const isBoundary = splitWords.has(word) || /,$/.test(words[j - 1]);
+        if (isBoundary && (best === null || Math.abs(j - middle) < Math.abs(best - middle))) {
+            best = j;
+        }
+    }
+    return best !== null ? best : Math.floor(middle);
+}
+
+/**
+ * Normalizes text for glossary matching: lowercase words separated by single
+ * spaces, punctuation and elision apostrophes removed ("l'eau" -> "l eau").
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeGlossaryText(text) {
+    return (text || '').toLowerCase().replace(/[.,;:!?'’"«»()\[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns true when text contains a term as whole words.
+ * @param {string} text - Normalized text
+ * @param {string} term - Term (normalized here)
+ * @returns {boolean}
+ */
+function containsGlossaryTerm(text, term) {
+    const normalized = normalizeGlossaryText(term);
+    return normalized.length > 0 && (' ' + text + ' ').includes(' ' + normalized + ' ');
+}
+
+/**
+ * Glossary entries whose source term occurs in a text.
+ * @param {Array<{ source: string, translation: string, note?: string }>} entries
+ * @param {string} text
+ * @returns {Array<object>} Matching entries
+ */
+function matchGlossaryEntries(entries, text) {
+    const normalized = normalizeGlossaryText(text);
+    return (entries || []).filter(entry => containsGlossaryTerm(normalized, entry.source));
+}
+
+/**
+ * Fills {name} placeholders in a message or suggestion template.
+ */
+function fillRuleTemplate(template, values) {
+    return (template || '').replace(/\{(\w+)\}/g, (match, name) =>
+        values[name] !== undefined ? values[name] : match).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds a rule's trigger in one block.
+ * @returns {{ trigger: string, before: string, after: string, splitAt?: number, expected?: string }|null}
+ */
+function matchRuleTrigger(rule, block, words, lists, glossary) {
+    const original = block.original || '';
+    const trigger = rule.trigger;
+    const list = (trigger.words || lists[trigger.list] || []).map(item => item.toLowerCase());
+    const lower = words.map(word => word.toLowerCase().replace(PUNCTUATION, ''));
+
+    switch (trigger.type) {
+        case 'last_word': {
+            const last = lower[lower.length - 1];
+            return list.includes(last) ? { trigger: last, before: words.slice(0, -1).join(' '), after: '' } : null;
+        }
+        case 'first_word': {
+            if (!list.includes(lower[0])) return null;
+            // Punctuation attached to the marker stays with it
+            const after = words.slice(1).join(' ').replace(/^[.,;:!?'"]+\s*/, '');
+            return { trigger: lower[0], before: '', after: after };
+        }
+        case 'starts_with': {
+            const text = original.toLowerCase();
+            const phrase = list.find(item => text.startsWith(item));
+            if (!phrase) return null;
+            const after = text.slice(phrase.length).trim();
+            // Only punctuation after the expression doesn't count
+            return { trigger: phrase, before: '', after: /^[.,;:!?'"]+$/.test(after) ? '' : after };
+        }
+        case 'inner_word': {
+            for (let j = 1; j < lower.length - 1; j++) {
+                const pair = lower[j] + ' ' + lower[j + 1];
+                const phrase = list.includes(lower[j]) ? lower[j] : (list.includes(pair) ? pair : null);
+                if (phrase) {
+                    const phraseLength = phrase.split(' ').length;
+                    return {
+                        trigger: phrase,
+                        before: words.slice(0, j).join(' '),
+                        after: words.slice(j + phraseLength).join(' ')
+                    };
+                }
+            }
+            return null;
+        }
+        case 'pattern':
+            return new RegExp(trigger.pattern, 'i').test(original.trim()) ? { trigger: original.trim(), before: '', after: '' } : null;
+        case 'word_count': {
+            if (words.length <= rule.condition.maxWords) return null;
+            const splitWords = new Set((rule.condition.splitAt || [])
+                .flatMap(name => lists[name] || [])
+                .map(item => item.toLowerCase().split(' ')[0]));
+            const splitAt = findBlockSplit(words, splitWords);
+            return {
+                trigger: '',
+                before: words.slice(0, splitAt).join(' '),
+                after: words.slice(splitAt).join(' '),
+                splitAt: splitAt
+            };
+        }
+        case 'glossary': {
+            const translation = normalizeGlossaryText(block.translation);
+            const entry = matchGlossaryEntries(glossary, original)
+                .find(item => !containsGlossaryTerm(translation, item.translation));
+            return entry ? { trigger: entry.source, before: '', after: '', expected: entry.translation } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Evaluates one rule against all blocks.
+ * @param {object} rule - Rule from a pack (severity not 'off')
+ * @param {Array} blocks - Array of block objects with 'original' (and 'translation') fields
+ * @param {object} lists - The pack's word lists
+ * @param {Array<object>} [glossary] - Glossary entries that apply to these blocks
+ * @returns {Array} Array of violation objects
+ */
+function evaluateRule(rule, blocks, lists, glossary) {
+    const violations = [];
+    const condition = rule.condition || {};
+
+    for (let i = 0; i < blocks.length; i++) {
+        const original = blocks[i].original || '';
+        const words = original.split(/\s+/).filter(w => w.length > 0);
+        if (words.length === 0) continue;
+        if (condition.minWords && words.length < condition.minWords) continue;
+        if (condition.maxWords && rule.trigger.type !== 'word_count' && words.length > condition.maxWords) continue;
+
+        const match = matchRuleTrigger(rule, blocks[i], words, lists, glossary);
+        if (!match) continue;
+        if (condition.minBeforeChars && match.before.length < condition.minBeforeChars) continue;
+        if (condition.minAfterChars && match.after.length < condition.minAfterChars) continue;
+
+        const next = blocks[i + 1];
+        if (condition.nextNotVerb && (!next || startsWithVerb(next.original, lists))) continue;
+
+        const values = {
+            block: original,
+            next: next ? next.original : '',
+            trigger: match.trigger,
+            before: match.before,
+            after: match.after,
+            count: words.length,
+            max: condition.maxWords,
+            expected: match.expected
+        };
+        const violation = {
+            type: rule.id,
+            message: fillRuleTemplate(rule.message, values),
+            severity: rule.severity,
+            blockIndex: i,
+            suggestion: fillRuleTemplate(rule.suggestion, values)
+        };
+        if (match.splitAt !== undefined) violation.splitAt = match.splitAt;
+        violations.push(violation);
+    }
+
+    return violations;
+}
+
+/**
+ * Evaluates every enabled rule of a pack.
+ * @param {Array} blocks - Array of block objects with 'original' and 'translation' fields
+ * @param {object} pack - Rule pack
+ * @param {Array<object>} [glossary] - Glossary entries that apply to these blocks
+ * @returns {Array} Array of violation objects
+ */
+function evaluateRulePack(blocks, pack, glossary) {
+    return pack.rules
+        .filter(rule => rule.severity !== 'off')
+        .flatMap(rule => evaluateRule(rule, blocks, pack.lists, glossary));
+}
@@ -0,0 +1,204 @@
+/**
+ * scheduler.js - Rate-limit aware request queue for LLM calls.
+ *
+ * This file is loaded via importScripts() in background.js (service worker).
+ * Every provider request goes through RequestScheduler.schedule(), which:
+ * - runs at most CONFIG.scheduler.maxConcurrent requests at once
+ * - paces request starts with a token bucket (requestsPerMinute)
+ * - serves priority lanes in order, so the paragraph being played goes first
+ * - pauses all lanes on HTTP 429 / exhausted rate-limit headers, honouring
+ *   Retry-After and the providers' reset headers, then retries the request
+ */
+
+/**
+ * Parses a duration such as "1s", "250ms", "6m0s" or "1h2m3.5s" (OpenAI reset headers).
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null if unparseable
+ */
+function parseDurationMs(value) {
+    if (!value) return null;
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|h|m|s)/g);
+    if (!parts) return null;
+
+    const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return parts.reduce((total, part) => {
+        const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|h|m|s)/);
+        return total + parseFloat(amount) * unitMs[unit];
+    }, 0);
+}
+
+/**
+ * Reads how long to wait from rate-limit response headers.
+ * Checks Retry-After (seconds or HTTP date), retry-after-ms, then the OpenAI
+ * (x-ratelimit-reset-*) and Anthropic (anthropic-ratelimit-*-reset) reset headers.
+ * @param {Headers} headers
+ * @returns {number|null} Milliseconds to wait, or null if no header present
+ */
+function getRetryAfterMs(headers) {
+    const retryAfterMs = headers.get('retry-after-ms');
+    if (retryAfterMs && !isNaN(parseFloat(retryAfterMs))) {
+        return parseFloat(retryAfterMs);
+    }
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+        if (!isNaN(parseFloat(retryAfter))) return parseFloat(retryAfter) * 1000;
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const resets = [];
+    ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'].forEach(name => {
+        const ms = parseDurationMs(headers.get(name));
+        if (ms !== null) resets.push(ms);
+    });
+    ['anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset'].forEach(name => {
+        const date = Date.parse(headers.get(name) || '');
+        if (!isNaN(date)) resets.push(Math.max(0, date - Date.now()));
+    });
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+/**
+ * Returns true when the provider reports no requests or tokens left in the current window.
+ * @param {Headers} headers
+ * @returns {boolean}
+ */
+function isRateLimitExhausted(headers) {
+    return [
+        'x-ratelimit-remaining-requests',
+        'x-ratelimit-remaining-tokens',
+        'anthropic-ratelimit-requests-remaining',
+        'anthropic-ratelimit-tokens-remaining'
+    ].some(name => headers.get(name) === '0');
+}
+
+/**
+ * Creates the error thrown for a rate-limited response.
+ * The scheduler recognises it by its retryAfterMs property.
+ * @param {number} status - HTTP status (429, or 529 for an overloaded provider)
+ * @param {Headers} headers
+ * @returns {Error}
+ */
+function createRateLimitError(status, headers) {
+    const retryAfterMs = getRetryAfterMs(headers);
+    const error = new Error(`Rate limited (${status})`);
+    error.retryAfterMs = retryAfterMs !== null ? retryAfterMs : CONFIG.scheduler.defaultRetryAfterMs;
+    return error;
+}
+
+const RequestScheduler = {
+    lanes: { high: [], normal: [], low: [] },
+    active: 0,
+    pausedUntil: 0,
+    tokens: CONFIG.scheduler.burst,
+    lastRefill: Date.now(),
+    wakeTimer: null,
+
+    /**
+     * Queues a request. Resolves/rejects with the task's own result; rate-limit
+     * errors are retried here (up to CONFIG.scheduler.maxRateLimitRetries).
+     * @param {function(): Promise<*>} task - Performs the request
+     * @param {'high'|'normal'|'low'} [priority='normal'] - Lane to queue in
+     * @returns {Promise<*>}
+     */
+    schedule(task, priority) {
+        const lane = this.lanes[priority] ? priority : 'normal';
+        return new Promise((resolve, reject) => {
+            this.lanes[lane].push({ task, lane, resolve, reject, rateLimitRetries: 0 });
+            this.pump();
+        });
+    },
+
+    /**
+     * Pauses all lanes for a while (rate limit reached).
+     * @param {number} ms
+     */
+    pauseFor(ms) {
+        const until = Date.now() + ms;
+        if (until > this.pausedUntil) {
+            this.pausedUntil = until;
+            console.warn(`ElevenLabs Translator: Rate limited - pausing requests for ${Math.round(ms)}ms`);
+        }
+    },
+
+    /**
+     * Inspects headers of a successful response; pauses when the window is exhausted.
+     * @param {Headers} headers
+     */
+    observeHeaders(headers) {
+        if (isRateLimitExhausted(headers)) {
+            const ms = getRetryAfterMs(headers);
+            this.pauseFor(ms !== null ? ms : CONFIG.scheduler.defaultRetryAfterMs);
+        }
+    },
+
+    refillTokens() {
+        const now = Date.now();
+        const perMs = CONFIG.scheduler.requestsPerMinute / 60000;
+        this.tokens = Math.min(CONFIG.scheduler.burst, this.tokens + (now - this.lastRefill) * perMs);
+        this.lastRefill = now;
+    },
+
+    nextItem() {
+        for (const lane of ['high', 'normal', 'low']) {
+            if (this.lanes[lane].length > 0) return this.lanes[lane].shift();
+        }
+        return null;
+    },
+
+    hasQueued() {
+        return this.lanes.high.length + this.lanes.normal.length + this.lanes.low.length > 0;
+    },
+
+    wakeIn(ms) {
+        if (this.wakeTimer) return;
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.pump();
+        }, Math.max(ms, 10));
+    },
+
+    /**
+     * Starts as many queued requests as concurrency, pacing and pauses allow.
+     */
+    pump() {
+        while (this.hasQueued() && this.active < CONFIG.scheduler.maxConcurrent) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                this.wakeIn(this.pausedUntil - now);
+                return;
+            }
+
+            this.refillTokens();
+            if (this.tokens < 1) {
+                const perMs = CONFIG.scheduler.requestsPerMinute / 60000;
+                this.wakeIn((1 - this.tokens) / perMs);
+                return;
+            }
+
+            this.tokens -= 1;
+            this.run(this.nextItem());
+        }
+    },
+
+    async run(item) {
+        this.active++;
+        try {
+            item.resolve(await item.task());
+        } catch (error) {
+            if (error.retryAfterMs !== undefined && item.rateLimitRetries < CONFIG.scheduler.maxRateLimitRetries) {
+                item.rateLimitRetries++;
+                this.pauseFor(error.retryAfterMs);
+                // Back to the front of its lane so it keeps its place
+                this.lanes[item.lane].unshift(item);
+            } else {
+                item.reject(error);
+            }
+        } finally {
+            this.active--;
+            this.pump();
+        }
+    }
+};